@@ -1,435 +1,3601 @@
-const { Plugin, Setting, App, PluginSettingTab, TFolder } = require("obsidian");
+const { Plugin, Setting, App, PluginSettingTab, TFolder, Modal, FuzzySuggestModal, Menu, Notice, ItemView, debounce } = require("obsidian");
+
+// Delay used to collapse bursts of vault/metadata events into a single recompute
+const REFRESH_DEBOUNCE_MS = 300;
+
+// Workspace view types whose nodes are sized
+const GRAPH_VIEW_TYPES = ["graph", "localgraph"];
+
+// Workspace event triggered (with the plugin) after sizes are recomputed
+const SIZES_CHANGED_EVENT = "dynamic-node-size:sizes-changed";
+
+// Workspace event triggered (with the view) after a graph view is sized
+const VIEW_SIZED_EVENT = "dynamic-node-size:view-sized";
+
+// Key of a graph view's own sizing settings in its saved view state
+const VIEW_STATE_KEY = "dynamicNodeSize";
+
+// Workspace view listing every note's computed size
+const REPORT_VIEW_TYPE = "dynamic-node-size-report";
+
+// How a size came about, as shown in the report
+const SIZE_SOURCES = {
+    'metric': 'Computed',
+    'node_size': 'Frontmatter size',
+    'rule': 'Fixed-size rule',
+    'excluded': 'Excluded',
+    'not-included': 'Not included',
+    'native': 'Native'
+};
+
+// Report columns: key into a report row, header and whether it is numeric
+const REPORT_COLUMNS = [
+    { key: 'path', name: 'Note' },
+    { key: 'value', name: 'Metric', numeric: true },
+    { key: 'size', name: 'Size', numeric: true },
+    { key: 'source', name: 'Source' },
+    { key: 'exclusion', name: 'Exclusion' }
+];
+
+// Settings bundled by a sizing preset
+const PRESET_KEYS = [
+    'sizeMultiplier', 'multiplierScale', 'maxSize', 'minSize', 'maxDepth', 'scalingMode', 'scalingExponent', 'visibleNodesOnly',
+    'excludeFolders', 'excludeTitles', 'excludeTags', 'includeFolders', 'includeTitles', 'includeTags'
+];
+
+// Built-in sizing presets. They leave visibleNodesOnly and the exclusion
+// lists untouched; user presets (settings.presets) capture every key in
+// PRESET_KEYS.
+const SIZING_PRESETS = [
+    {
+        name: 'Default',
+        values: { sizeMultiplier: 2, multiplierScale: 1, maxSize: 50, minSize: 1, maxDepth: 3, scalingMode: 'classic', scalingExponent: 0.5 }
+    },
+    {
+        name: 'Direct links',
+        values: { sizeMultiplier: 3, multiplierScale: 1, maxSize: 30, minSize: 1, maxDepth: 1, scalingMode: 'classic', scalingExponent: 0.5 }
+    },
+    {
+        name: 'Deep structure',
+        values: { sizeMultiplier: 1, multiplierScale: 1, maxSize: 120, minSize: 1, maxDepth: 6, scalingMode: 'classic', scalingExponent: 0.5 }
+    }
+];
+
+// Every stored setting with its type and default. Numbers carry the range and
+// slider step used by the settings tab; enums their options and labels.
+// loadSettings() fills in missing values and replaces invalid ones from here.
+const SETTINGS_SCHEMA = {
+    sizeMultiplier: { type: 'number', default: 2, min: 0.1, max: 10, step: 0.1 },
+    multiplierScale: { type: 'number', default: 1, min: 0.1, max: 5, step: 0.1 },
+    maxSize: { type: 'number', default: 50, min: 10, max: 200, step: 1 },
+    minSize: { type: 'number', default: 1, min: 0.1, max: 50, step: 0.1 },
+    scalingMode: {
+        type: 'enum', default: 'classic',
+        options: { classic: 'Classic (multiplier)', linear: 'Linear', sqrt: 'Square root', log: 'Logarithmic', power: 'Power', percentile: 'Percentile (rank)' }
+    },
+    scalingExponent: { type: 'number', default: 0.5, min: 0.1, max: 5, step: 0.05 },
+    maxDepth: { type: 'number', default: 3, min: 1, max: 20, step: 1, integer: true },
+    linkDirection: {
+        type: 'enum', default: 'outgoing',
+        options: { outgoing: 'Outgoing links', incoming: 'Backlinks', both: 'Both' }
+    },
+    edgeWeighting: {
+        type: 'enum', default: 'none',
+        options: { none: 'None (every link counts 1)', count: 'Link count (capped)', log: 'Logarithmic' }
+    },
+    edgeWeightCap: { type: 'number', default: 5, min: 1, max: 100, step: 0.5 },
+    depthDecay: { type: 'number', default: 1, min: 0.05, max: 1, step: 0.05 },
+    // Not an enum: metrics can be registered after settings load
+    sizeMetric: { type: 'string', default: 'reach' },
+    sizeProperty: { type: 'string', default: '' },
+    blendEnabled: { type: 'boolean', default: false },
+    blendWeights: { type: 'object', default: { reach: 1 } },
+    localGraphMode: {
+        type: 'enum', default: 'vault',
+        options: { vault: 'Whole vault', neighborhood: 'Local neighborhood' }
+    },
+    visibleNodesOnly: { type: 'boolean', default: false },
+    sizeTagNodes: { type: 'boolean', default: false },
+    tagNodeMultiplier: { type: 'number', default: 1, min: 0.1, max: 10, step: 0.1 },
+    sizeUnresolvedNodes: { type: 'boolean', default: false },
+    unresolvedNodeMultiplier: { type: 'number', default: 1, min: 0.1, max: 10, step: 0.1 },
+    sizeAttachmentNodes: { type: 'boolean', default: false },
+    attachmentNodeMultiplier: { type: 'number', default: 1, min: 0.1, max: 10, step: 0.1 },
+    paused: { type: 'boolean', default: false },
+    overrideKey: { type: 'string', default: 'node_size' },
+    showExplanations: { type: 'boolean', default: true },
+    activePreset: { type: 'string', default: 'Default' },
+    presets: { type: 'list', default: [] },
+    sizingRules: { type: 'list', default: [] },
+    colorByMetric: { type: 'boolean', default: false },
+    colorPalette: { type: 'string', default: 'custom' },
+    colorStart: { type: 'string', default: '#4575b4' },
+    colorMid: { type: 'string', default: '#ffffbf' },
+    colorEnd: { type: 'string', default: '#d73027' },
+    useColorMid: { type: 'boolean', default: false },
+    excludeFolders: { type: 'list', default: [] },
+    excludeTitles: { type: 'list', default: [] },
+    excludeTags: { type: 'list', default: [] },
+    matchNestedTags: { type: 'boolean', default: true },
+    includeFolders: { type: 'list', default: [] },
+    includeTitles: { type: 'list', default: [] },
+    includeTags: { type: 'list', default: [] },
+    restrictTraversalToIncluded: { type: 'boolean', default: false },
+    // Leaf id -> per-view settings, so they outlive disabling the plugin
+    leafViewConfigs: { type: 'object', default: {} }
+};
+
+// Range of a metric's weight when blending metrics
+const BLEND_WEIGHT_SPEC = { type: 'number', default: 0, min: 0, max: 10, step: 0.1 };
+
+// Format of the stored settings, saved as settingsVersion. Bump it and add a
+// step to SETTINGS_MIGRATIONS whenever stored settings change shape.
+const SETTINGS_VERSION = 1;
+
+// Steps upgrading settings saved by older versions, applied in order on load.
+// Each step takes data older than its `version` to that version.
+const SETTINGS_MIGRATIONS = [
+    {
+        version: 1,
+        // Folder and tag lists held plain strings before entries had a scope
+        migrate: (data) => {
+            const normalize = (values) => {
+                for (const key of ['excludeFolders', 'excludeTags', 'includeFolders', 'includeTags']) {
+                    if (key in values) values[key] = normalizeExclusionEntries(values[key]);
+                }
+            };
+            normalize(data);
+            for (const preset of Array.isArray(data.presets) ? data.presets : []) {
+                if (preset?.values) normalize(preset.values);
+            }
+        }
+    }
+];
+
+// Apply the migration steps newer than the data's settingsVersion
+function migrateSettings(data) {
+    const settings = { ...(data || {}) };
+    const from = settings.settingsVersion || 0;
+    for (const step of SETTINGS_MIGRATIONS) {
+        if (step.version > from) step.migrate(settings);
+    }
+    settings.settingsVersion = SETTINGS_VERSION;
+    return settings;
+}
+
+// Check a number (or text typed for one) against its schema entry.
+// Returns { value, error }; error is null when the value is usable.
+function validateNumber(spec, input) {
+    const text = String(input ?? '').trim();
+    const value = Number(text);
+    if (text === '' || !isFinite(value)) return { value: null, error: 'Enter a number' };
+    if (spec.integer && !Number.isInteger(value)) return { value: null, error: 'Enter a whole number' };
+    if (value < spec.min || value > spec.max) return { value: null, error: `Enter a value from ${spec.min} to ${spec.max}` };
+    return { value, error: null };
+}
+
+// Whether a stored value fits its schema entry
+function isValidSetting(spec, value) {
+    switch (spec.type) {
+        case 'number': return typeof value === 'number' && validateNumber(spec, value).error === null;
+        case 'boolean': return typeof value === 'boolean';
+        case 'string': return typeof value === 'string';
+        case 'enum': return Object.prototype.hasOwnProperty.call(spec.options, value);
+        case 'list': return Array.isArray(value);
+        case 'object': return !!value && typeof value === 'object' && !Array.isArray(value);
+        default: return true;
+    }
+}
+
+// Settings with every schema key present and valid; missing or invalid values
+// get their defaults. Keys outside the schema (e.g. settingsVersion) are kept.
+function sanitizeSettings(data) {
+    const settings = { ...data };
+    for (const [key, spec] of Object.entries(SETTINGS_SCHEMA)) {
+        if (!isValidSetting(spec, settings[key])) {
+            settings[key] = JSON.parse(JSON.stringify(spec.default));
+        }
+    }
+    return settings;
+}
+
+// Half-life of the "recently modified" metric
+const RECENCY_HALF_LIFE_DAYS = 30;
+
+// PageRank parameters
+const PAGERANK_DAMPING = 0.85;
+const PAGERANK_ITERATIONS = 30;
+
+// Betweenness is estimated from this many evenly spread source notes on
+// larger graphs, since the exact value costs O(notes × links)
+const BETWEENNESS_SAMPLE_SIZE = 500;
+
+// Curves for the normalized scaling modes, applied to metric values before
+// they are spread over the minimum–maximum size range
+const SCALING_CURVES = {
+    linear: (value) => value,
+    sqrt: (value) => Math.sqrt(value),
+    log: (value) => Math.log1p(value),
+    power: (value, exponent) => Math.pow(value, exponent)
+};
+
+// Sample metric values shown in the scaling preview
+const SCALING_PREVIEW_SAMPLES = [1, 2, 5, 10, 20, 50, 100];
+
+// Build a (value, overrides) -> size function for the given distribution of
+// metric values. Overrides come from sizing rules: { multiplier, maxSize }.
+function createSizeScale(values, settings) {
+    const mode = settings?.scalingMode || 'classic';
+    const minSize = settings?.minSize || 1;
+    const maxSize = Math.max(settings?.maxSize || 50, minSize);
+    const multiplier = settings?.sizeMultiplier || 1.0;
+    const multiplierScale = settings?.multiplierScale || 1.0;
+    const clamp = (size, top) => Math.max(Math.min(size, top), minSize);
+
+    // Unclamped size and the factors that produced it
+    let measure;
+    if (mode === 'classic') {
+        // count × multiplier × scale, clamped to the size range
+        measure = (value, overrides) => {
+            const appliedMultiplier = overrides.multiplier ?? multiplier;
+            return {
+                raw: value * appliedMultiplier * multiplierScale,
+                multiplier: appliedMultiplier,
+                top: overrides.maxSize ?? maxSize
+            };
+        };
+    } else {
+        const position = createPositionScale(values, mode, settings?.scalingExponent || 0.5);
+        measure = (value, overrides) => {
+            const top = overrides.maxSize ?? maxSize;
+            const at = position(value);
+            let raw = minSize + at * (top - minSize);
+            // In normalized modes a multiplier override scales relative to the global multiplier
+            if (overrides.multiplier !== undefined) {
+                raw *= overrides.multiplier / multiplier;
+            }
+            return { raw, multiplier: overrides.multiplier ?? multiplier, top, position: at };
+        };
+    }
+
+    const scale = (value, overrides = {}) => {
+        const { raw, top } = measure(value, overrides);
+        return clamp(raw, top);
+    };
+    // Same as scale(), with the steps that led to the size
+    scale.explain = (value, overrides = {}) => {
+        const steps = measure(value, overrides);
+        const size = clamp(steps.raw, steps.top);
+        const clamped = steps.raw > steps.top ? 'max' : steps.raw < minSize ? 'min' : null;
+        return { ...steps, mode, multiplierScale, minSize, size, clamped };
+    };
+    return scale;
+}
+
+// Map a metric value to its 0–1 position within the distribution. Values
+// without spread (or a single value) sit in the middle, as nothing says
+// whether they are large or small.
+function createPositionScale(values, mode, exponent) {
+    if (mode === 'percentile') {
+        // Rank-based: a value's position in the sorted distribution
+        const sorted = values.slice().sort((a, b) => a - b);
+        const flat = sorted.length <= 1 || sorted[0] === sorted[sorted.length - 1];
+        return (value) => {
+            if (flat) return 0.5;
+            let low = 0;
+            let high = sorted.length;
+            while (low < high) {
+                const mid = (low + high) >> 1;
+                if (sorted[mid] < value) low = mid + 1;
+                else high = mid;
+            }
+            return Math.min(low / (sorted.length - 1), 1);
+        };
+    }
+
+    const curve = SCALING_CURVES[mode] || SCALING_CURVES.linear;
+    const curved = values.map(value => curve(value, exponent));
+    const low = curved.reduce((min, value) => Math.min(min, value), Infinity);
+    const high = curved.reduce((max, value) => Math.max(max, value), -Infinity);
+    return (value) => high > low ? (curve(value, exponent) - low) / (high - low) : 0.5;
+}
+
+// Where an exclusion applies: sizing keeps the native size but still lets the
+// note bridge connections, traversal hides it from counting but still sizes it
+const EXCLUSION_SCOPES = {
+    both: 'Sizing and traversal',
+    sizing: 'Sizing only',
+    traversal: 'Traversal only'
+};
+
+// Normalize folder/tag exclusion entries to { value, scope } (older settings
+// stored plain strings)
+function normalizeExclusionEntries(entries) {
+    return (entries || []).map(entry => typeof entry === 'string'
+        ? { value: entry, scope: 'both' }
+        : { value: entry?.value || '', scope: EXCLUSION_SCOPES[entry?.scope] ? entry.scope : 'both' });
+}
+
+// Split a title exclusion line into its optional "[scope]" prefix and pattern
+function parseTitleExclusion(line) {
+    const match = /^\[(sizing|traversal|both)\]\s*(.*)$/.exec(line);
+    return match ? { value: match[2], scope: match[1] } : { value: line, scope: 'both' };
+}
+
+// Whether an exclusion entry's scope covers the given use
+function exclusionApplies(entryScope, use) {
+    return !entryScope || entryScope === 'both' || entryScope === use;
+}
+
+// Frontmatter keys whose values are names, never tags
+const NON_TAG_KEYS = ['aliases', 'alias', 'cssclasses', 'cssclass'];
+
+// All tags of a note without the leading "#": inline tags, the "tags"/"tag"
+// frontmatter keys (list or comma/space separated string), and "#"-prefixed
+// values of other keys (single values or lists)
+function getCacheTags(cache) {
+    const tags = new Set();
+    const add = (tag) => {
+        const clean = String(tag).trim().replace(/^#/, '');
+        if (clean) tags.add(clean);
+    };
+    for (const tagObj of cache?.tags || []) {
+        add(tagObj.tag);
+    }
+    const frontmatter = cache?.frontmatter || {};
+    for (const key of Object.keys(frontmatter)) {
+        const value = frontmatter[key];
+        if (value === null || value === undefined) continue;
+        const values = Array.isArray(value) ? value : [value];
+        if (key.toLowerCase() === 'tags' || key.toLowerCase() === 'tag') {
+            for (const item of values) {
+                String(item).split(/[, ]+/).forEach(add);
+            }
+        } else if (!NON_TAG_KEYS.includes(key.toLowerCase())) {
+            for (const item of values) {
+                if (typeof item === 'string' && item.startsWith('#')) add(item);
+            }
+        }
+    }
+    return Array.from(tags);
+}
+
+// Tag pattern, matched case-insensitively. "*" matches any run of
+// characters; with nested matching a pattern also matches child tags
+// ("project" matches "project/alpha").
+function compileTagPattern(pattern) {
+    const cleanPattern = pattern.trim().replace(/^#/, '').toLowerCase();
+    if (!cleanPattern) return { test: () => false, error: null };
+    let matches = (candidate) => candidate === cleanPattern;
+    if (cleanPattern.includes('*')) {
+        const source = cleanPattern
+            .split('*')
+            .map(text => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+            .join('.*');
+        const regex = new RegExp(`^${source}$`);
+        matches = (candidate) => regex.test(candidate);
+    }
+    return {
+        test: (tag, nested = true) => {
+            const lowerTag = tag.toLowerCase();
+            if (matches(lowerTag)) return true;
+            if (!nested) return false;
+            // Every parent tag: "a/b/c" -> "a", "a/b"
+            const parts = lowerTag.split('/');
+            for (let i = 1; i < parts.length; i++) {
+                if (matches(parts.slice(0, i).join('/'))) return true;
+            }
+            return false;
+        },
+        error: null
+    };
+}
+
+// Sizing rule match types and actions, as shown in the rules editor
+const RULE_MATCH_TYPES = {
+    folder: 'Folder',
+    tag: 'Tag',
+    title: 'Title',
+    property: 'Property'
+};
+const RULE_ACTIONS = {
+    fixed: 'Fixed size',
+    multiplier: 'Multiplier',
+    maxSize: 'Maximum size',
+    exclude: 'Exclude'
+};
+
+// Folder pattern: a folder prefix, the path of a single note, or a glob
+// matched against the whole path
+function compileFolderPattern(pattern) {
+    if (!pattern) return { test: () => false, error: null };
+    if (pattern.includes('*')) {
+        const regex = globToRegExp(pattern);
+        return { test: (path) => regex.test(path), error: null };
+    }
+    // The path itself (a single note) or anything inside it (a folder)
+    const prefix = pattern.endsWith('/') ? pattern : pattern + '/';
+    return { test: (path) => path === pattern || path.startsWith(prefix), error: null };
+}
+
+// Title pattern: an exact note name, or /regex/ with optional flags such as
+// /draft/i. An invalid regex never matches and reports why in `error`.
+function compileTitlePattern(pattern) {
+    const match = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+    if (!match) return { test: (basename) => basename === pattern, error: null };
+    try {
+        const regex = new RegExp(match[1], match[2]);
+        return {
+            test: (basename) => {
+                regex.lastIndex = 0; // Stateful with the g and y flags
+                return regex.test(basename);
+            },
+            error: null
+        };
+    } catch (e) {
+        return { test: () => false, error: e.message };
+    }
+}
+
+// Convert a glob ("*" within a folder, "**" across folders) to an anchored regex
+function globToRegExp(glob) {
+    const source = glob.split('**').map(part => part
+        .split('*')
+        .map(text => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('[^/]*')
+    ).join('.*');
+    return new RegExp(`^${source}$`);
+}
+
+// Graph node kinds besides notes, with their settings keys
+const NODE_KINDS = {
+    tag: { name: 'Tag Nodes', enabledKey: 'sizeTagNodes', multiplierKey: 'tagNodeMultiplier', metric: 'number of notes using the tag' },
+    unresolved: { name: 'Unresolved Link Nodes', enabledKey: 'sizeUnresolvedNodes', multiplierKey: 'unresolvedNodeMultiplier', metric: 'number of notes linking to the missing note' },
+    attachment: { name: 'Attachment Nodes', enabledKey: 'sizeAttachmentNodes', multiplierKey: 'attachmentNodeMultiplier', metric: 'number of notes embedding the attachment' }
+};
+
+// Kind of a graph node: 'note', 'tag', 'unresolved' or 'attachment'
+function getNodeKind(node, file) {
+    if (node.type === 'tag' || (!file && node.id.startsWith('#'))) return 'tag';
+    if (!file) return 'unresolved';
+    if (node.type === 'attachment' || file.extension !== 'md') return 'attachment';
+    return 'note';
+}
+
+// Tag name of a tag node, without "#" (node ids look like "#tag" or "tag:#tag")
+function getTagNodeName(node) {
+    return node.id.replace(/^tag:/, '').replace(/^#/, '');
+}
+
+// Per-note overrides read from frontmatter under a configurable key:
+// `key` (a size, or "auto" to ignore fixed-size rules), `key_multiplier`
+// (relative to the computed size), `key_min` and `key_max`. Numeric strings
+// are coerced; anything else is ignored and reported in `problems`.
+function parseSizeOverride(frontmatter, key) {
+    const override = { size: null, auto: false, multiplier: null, min: null, max: null, problems: [] };
+    if (!frontmatter) return override;
+    const read = (name) => {
+        const raw = frontmatter[name];
+        if (raw === undefined || raw === null || raw === '') return null;
+        const value = typeof raw === 'number' ? raw
+            : typeof raw === 'string' && raw.trim() !== '' ? Number(raw.trim())
+            : NaN;
+        if (!isFinite(value) || value <= 0) {
+            override.problems.push(`${name}: ${JSON.stringify(raw)} is not a positive number`);
+            return null;
+        }
+        return value;
+    };
+    const size = frontmatter[key];
+    if (typeof size === 'string' && size.trim().toLowerCase() === 'auto') {
+        override.auto = true;
+    } else {
+        override.size = read(key);
+    }
+    override.multiplier = read(`${key}_multiplier`);
+    override.min = read(`${key}_min`);
+    override.max = read(`${key}_max`);
+    if (override.min !== null && override.max !== null && override.min > override.max) {
+        override.problems.push(`${key}_min (${override.min}) is larger than ${key}_max (${override.max})`);
+        override.min = null;
+        override.max = null;
+    }
+    return override;
+}
+
+// Apply a note's multiplier and min/max overrides to its computed size. The
+// multiplier does not grow a size past `top`, the maximum it was scaled to,
+// unless the note sets its own maximum.
+function applySizeOverride(size, override, top = Infinity) {
+    let result = size * (override.multiplier ?? 1);
+    if (override.max === null && result > size) result = Math.min(result, Math.max(size, top));
+    if (override.min !== null) result = Math.max(result, override.min);
+    if (override.max !== null) result = Math.min(result, override.max);
+    return result;
+}
+
+// Size overrides a multiplier or maximum size rule applies to the scale
+function getRuleOverrides(rule) {
+    if (rule?.action === 'multiplier') return { multiplier: rule.value };
+    if (rule?.action === 'maxSize') return { maxSize: rule.value };
+    return {};
+}
+
+// Preset gradients for heatmap mode, low to high
+const COLOR_PALETTES = {
+    heat: { name: 'Heat', stops: ['#ffffb2', '#fd8d3c', '#bd0026'] },
+    viridis: { name: 'Viridis', stops: ['#440154', '#21918c', '#fde725'] },
+    cool: { name: 'Cool', stops: ['#c6dbef', '#6baed6', '#08306b'] },
+    greyscale: { name: 'Greyscale', stops: ['#d9d9d9', '#252525'] }
+};
+
+// Parse "#rrggbb" or "#rgb" (leading # optional) into a 24-bit integer
+function parseHexColor(value) {
+    if (typeof value !== 'string') return null;
+    let hex = value.trim().replace(/^#/, '');
+    if (/^[0-9a-f]{3}$/i.test(hex)) {
+        hex = hex.split('').map(c => c + c).join('');
+    }
+    return /^[0-9a-f]{6}$/i.test(hex) ? parseInt(hex, 16) : null;
+}
+
+// Gradient stops (as integers) for the configured palette or custom colors
+function getGradientStops(settings) {
+    const palette = COLOR_PALETTES[settings?.colorPalette];
+    const colors = palette
+        ? palette.stops
+        : [settings?.colorStart, settings?.useColorMid ? settings?.colorMid : null, settings?.colorEnd];
+    const stops = colors.map(parseHexColor).filter(rgb => rgb !== null);
+    return stops.length >= 2 ? stops : COLOR_PALETTES.heat.stops.map(parseHexColor);
+}
+
+// Color at position t (0–1) along evenly spaced gradient stops
+function interpolateGradient(stops, t) {
+    const clamped = Math.min(Math.max(t, 0), 1) * (stops.length - 1);
+    const index = Math.min(Math.floor(clamped), stops.length - 2);
+    const local = clamped - index;
+    const from = stops[index];
+    const to = stops[index + 1];
+    let rgb = 0;
+    for (const shift of [16, 8, 0]) {
+        const a = (from >> shift) & 0xff;
+        const b = (to >> shift) & 0xff;
+        rgb |= Math.round(a + (b - a) * local) << shift;
+    }
+    return rgb;
+}
+
+// Sizing metric registry. A metric has an id, a display name, and either
+// compute(plugin, path, scope) for one node or computeAll(plugin, scope)
+// returning a Map of path -> value for the whole graph (cached until the link
+// graph changes). The scope limits which notes are counted, see getViewScope().
+const METRICS = new Map();
+
+function registerMetric(metric) {
+    METRICS.set(metric.id, metric);
+}
+
+registerMetric({
+    id: 'reach',
+    name: 'Connected nodes (recursive reach)',
+    compute: (plugin, path, scope) => plugin.getConnectedCount(path, scope)
+});
+
+registerMetric({
+    id: 'inDegree',
+    name: 'In-degree (backlinks)',
+    compute: (plugin, path, scope) => (plugin.getLinkGraph(scope).incoming.get(path) || []).length
+});
+
+registerMetric({
+    id: 'outDegree',
+    name: 'Out-degree (outgoing links)',
+    compute: (plugin, path, scope) => (plugin.getLinkGraph(scope).outgoing.get(path) || []).length
+});
+
+registerMetric({
+    id: 'degree',
+    name: 'Total degree',
+    compute: (plugin, path, scope) => {
+        const graph = plugin.getLinkGraph(scope);
+        return (graph.incoming.get(path) || []).length + (graph.outgoing.get(path) || []).length;
+    }
+});
+
+registerMetric({
+    id: 'pagerank',
+    name: 'PageRank',
+    computeAll: (plugin, scope) => {
+        const { nodes, outgoing } = plugin.getLinkGraph(scope);
+        const n = nodes.length;
+        let ranks = new Map();
+        if (n === 0) return ranks;
+        for (const path of nodes) ranks.set(path, 1 / n);
+        for (let i = 0; i < PAGERANK_ITERATIONS; i++) {
+            // Rank of notes without outgoing links is spread over every note
+            let dangling = 0;
+            for (const path of nodes) {
+                if (outgoing.get(path).length === 0) dangling += ranks.get(path);
+            }
+            const base = (1 - PAGERANK_DAMPING) / n + PAGERANK_DAMPING * dangling / n;
+            const next = new Map();
+            for (const path of nodes) next.set(path, base);
+            for (const path of nodes) {
+                const targets = outgoing.get(path);
+                if (targets.length === 0) continue;
+                const share = PAGERANK_DAMPING * ranks.get(path) / targets.length;
+                for (const target of targets) {
+                    next.set(target, next.get(target) + share);
+                }
+            }
+            ranks = next;
+        }
+        // Scale so the average note scores 1, comparable to a small reach count
+        for (const path of nodes) ranks.set(path, ranks.get(path) * n);
+        return ranks;
+    }
+});
+
+registerMetric({
+    id: 'betweenness',
+    name: 'Betweenness centrality',
+    // Brandes' algorithm over outgoing links; O(sources × links), with every
+    // node as a source up to BETWEENNESS_SAMPLE_SIZE and a scaled-up sample above
+    computeAll: (plugin, scope) => {
+        const { nodes, outgoing } = plugin.getLinkGraph(scope);
+        const centrality = new Map();
+        for (const path of nodes) centrality.set(path, 0);
+        const step = Math.max(nodes.length / BETWEENNESS_SAMPLE_SIZE, 1);
+        const sources = [];
+        for (let i = 0; i < nodes.length; i += step) sources.push(nodes[Math.floor(i)]);
+        for (const source of sources) {
+            const stack = [];
+            const predecessors = new Map();
+            const paths = new Map([[source, 1]]);
+            const distance = new Map([[source, 0]]);
+            const queue = [source];
+            for (let head = 0; head < queue.length; head++) {
+                const v = queue[head];
+                stack.push(v);
+                for (const w of outgoing.get(v)) {
+                    if (!distance.has(w)) {
+                        distance.set(w, distance.get(v) + 1);
+                        queue.push(w);
+                    }
+                    if (distance.get(w) === distance.get(v) + 1) {
+                        paths.set(w, (paths.get(w) || 0) + paths.get(v));
+                        if (!predecessors.has(w)) predecessors.set(w, []);
+                        predecessors.get(w).push(v);
+                    }
+                }
+            }
+            const dependency = new Map();
+            while (stack.length > 0) {
+                const w = stack.pop();
+                const dw = dependency.get(w) || 0;
+                for (const v of predecessors.get(w) || []) {
+                    const dv = (dependency.get(v) || 0) + paths.get(v) / paths.get(w) * (1 + dw);
+                    dependency.set(v, dv);
+                }
+                if (w !== source) centrality.set(w, centrality.get(w) + dw);
+            }
+        }
+        if (sources.length < nodes.length) {
+            for (const [path, value] of centrality) centrality.set(path, value * nodes.length / sources.length);
+        }
+        return centrality;
+    }
+});
+
+registerMetric({
+    id: 'kcore',
+    name: 'K-core number',
+    // Peels nodes in order of (undirected) degree; a node's core number is the
+    // degree bucket it was removed from
+    computeAll: (plugin, scope) => {
+        const { nodes, outgoing, incoming } = plugin.getLinkGraph(scope);
+        const neighbors = new Map();
+        const degree = new Map();
+        const buckets = [];
+        for (const path of nodes) {
+            const set = new Set([...outgoing.get(path), ...incoming.get(path)]);
+            neighbors.set(path, set);
+            degree.set(path, set.size);
+            if (!buckets[set.size]) buckets[set.size] = new Set();
+            buckets[set.size].add(path);
+        }
+        const core = new Map();
+        for (let d = 0; d < buckets.length; d++) {
+            while (buckets[d] && buckets[d].size > 0) {
+                const path = buckets[d].values().next().value;
+                buckets[d].delete(path);
+                core.set(path, d);
+                for (const neighbor of neighbors.get(path)) {
+                    if (core.has(neighbor)) continue;
+                    const nd = degree.get(neighbor);
+                    if (nd > d) {
+                        buckets[nd].delete(neighbor);
+                        degree.set(neighbor, nd - 1);
+                        if (!buckets[nd - 1]) buckets[nd - 1] = new Set();
+                        buckets[nd - 1].add(neighbor);
+                    }
+                }
+            }
+        }
+        return core;
+    }
+});
+
+// Content metrics: these do not depend on links and are not cached with them
+
+registerMetric({
+    id: 'wordCount',
+    name: 'Word count',
+    compute: (plugin, path) => plugin.getWordCount(path)
+});
+
+registerMetric({
+    id: 'recency',
+    name: 'Recently modified',
+    // 100 for a note modified just now, halving every RECENCY_HALF_LIFE_DAYS
+    compute: (plugin, path) => {
+        const file = plugin.app.vault.getFileByPath(path);
+        if (!file) return 0;
+        const ageDays = Math.max(Date.now() - file.stat.mtime, 0) / 86400000;
+        return 100 * Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS);
+    }
+});
+
+registerMetric({
+    id: 'fileSize',
+    name: 'File size (KB)',
+    compute: (plugin, path) => (plugin.app.vault.getFileByPath(path)?.stat.size || 0) / 1024
+});
+
+registerMetric({
+    id: 'property',
+    name: 'Frontmatter property',
+    // Numeric value of the frontmatter key set in "Size Property"
+    compute: (plugin, path) => {
+        const key = plugin.settings?.sizeProperty;
+        const file = plugin.app.vault.getFileByPath(path);
+        if (!key || !file) return 0;
+        const value = parseFloat(plugin.app.metadataCache.getFileCache(file)?.frontmatter?.[key]);
+        return isNaN(value) || value < 0 ? 0 : value;
+    }
+});
+
+// Combine several metrics into one 0–100 score per node: each metric is
+// divided by its maximum over the nodes (or the given maxima), then averaged
+// by weight. Returns the maxima used.
+function blendMetricValues(entries, weights, maxima = null) {
+    const metricIds = Object.keys(weights).filter(id => weights[id] > 0 && METRICS.has(id));
+    const totalWeight = metricIds.reduce((sum, id) => sum + weights[id], 0);
+    if (!maxima) {
+        maxima = {};
+        for (const id of metricIds) {
+            maxima[id] = entries.reduce((max, entry) => Math.max(max, entry.values[id] || 0), 0);
+        }
+    }
+    for (const entry of entries) {
+        let score = 0;
+        for (const id of metricIds) {
+            if (maxima[id] > 0) score += weights[id] * Math.min((entry.values[id] || 0) / maxima[id], 1);
+        }
+        entry.value = totalWeight > 0 ? 100 * score / totalWeight : 0;
+    }
+    return maxima;
+}
 
 class DynamicNodeSizePlugin extends Plugin {
     async onload() {
         // Load settings first
         await this.loadSettings();
+
+        // Memoized connection counts, invalidated per note as links change
+        this.reachCache = new ReachCache();
+
+        // Separate caches for views sized over their own neighborhood
+        this.viewCaches = new Map();
+
+        // Path -> link signature once graph-wide values are computed, see
+        // getLinkSignature()
+        this.linkSignatures = null;
+
+        // Word counts read from note contents: path -> { mtime, words }
+        this.wordCounts = new Map();
+        this.pendingWordCounts = new Set();
+
+        // Note sizes across the vault for the API and report, and what they
+        // were scaled against, see getVaultSizes()
+        this.vaultSizes = null;
+        this.vaultNormalization = null;
+
+        // What the last pass over each graph view scaled against (see
+        // computeSizes()), and the last pass over the global graph view
+        // with the global settings
+        this.viewNormalizations = new Map();
+        this.lastNormalization = null;
+
+        // Size modifiers registered through the API: id -> function
+        this.sizeModifiers = new Map();
+
+        // Forward/reverse view of resolvedLinks for backlink traversal
+        this.linkIndex = new LinkIndex(this.app.metadataCache);
         
         // Add settings
         this.addSettingTab(new DynamicNodeSizeSettingTab(this.app, this));
         
-        // Store intervals to avoid stacking
-        this.graphIntervals = new Map();
+        // Graph views whose renderer we hooked, mapped to the original setData
+        this.hookedViews = new Map();
+
+        // Per view: node id -> native { weight, color } before we changed it
+        this.nativeNodes = new Map();
+
+        // Graph views with their own settings: view -> { preset } or { values }
+        this.viewConfigs = new Map();
+        // Graph view -> its original getState, setState and onPaneMenu
+        this.viewStateHooks = new Map();
+
+        // Graph view -> mousemove handler showing the hover explanation
+        this.hoverHandlers = new Map();
+        this.tooltipEl = null;
+
+        // Size explanation of the active note
+        this.statusBarEl = this.addStatusBarItem();
+        this.statusBarEl.addEventListener('click', () => {
+            const lines = this.statusBarEl.getAttribute('aria-label');
+            if (lines) new Notice(lines, 10000);
+        });
+        this.registerEvent(
+            this.app.workspace.on("file-open", () => this.updateStatusBar())
+        );
+
+        // Debounced scheduler: bursts of edits collapse into a single recompute
+        this.scheduleRefresh = debounce(() => refreshAllGraphViews(this), REFRESH_DEBOUNCE_MS, true);
+
+        this.registerView(REPORT_VIEW_TYPE, (leaf) => new HubReportView(leaf, this));
+
+        this.registerCommands();
+
+        this.addRibbonIcon('network', 'Switch sizing preset', (event) => {
+            const menu = new Menu();
+            for (const preset of this.getPresets()) {
+                menu.addItem(item => item
+                    .setTitle(preset.name)
+                    .setChecked(preset.name === this.settings.activePreset)
+                    .onClick(() => this.applyPreset(preset.name)));
+            }
+            menu.showAtMouseEvent(event);
+        });
+
+        // Hook new graph views and release closed ones
+        this.registerEvent(
+            this.app.workspace.on("layout-change", () => this.hookGraphViews())
+        );
+        this.app.workspace.onLayoutReady(() => this.hookGraphViews());
+
+        // Recompute only when something relevant to the link graph changes
+        this.registerEvent(
+            this.app.metadataCache.on("resolved", () => this.scheduleRefresh())
+        );
+        this.registerEvent(
+            this.app.metadataCache.on("changed", (file) => {
+                this.invalidateLinks(file.path);
+                this.scheduleRefresh();
+            })
+        );
+        // Fired per file when its links are (re)resolved, e.g. after a note it
+        // links to is created
+        this.registerEvent(
+            this.app.metadataCache.on("resolve", (file) => {
+                this.invalidateLinks(file.path);
+            })
+        );
+        this.registerEvent(
+            this.app.vault.on("rename", (file, oldPath) => {
+                const words = this.wordCounts.get(oldPath);
+                this.wordCounts.delete(oldPath);
+                if (words) this.wordCounts.set(file.path, words);
+                this.invalidateLinks(oldPath);
+                this.invalidateLinks(file.path);
+                this.scheduleRefresh();
+            })
+        );
+        this.registerEvent(
+            this.app.vault.on("delete", (file) => {
+                this.wordCounts.delete(file.path);
+                this.invalidateLinks(file.path);
+                this.scheduleRefresh();
+            })
+        );
+    }
+
+    registerCommands() {
+        this.addCommand({
+            id: 'toggle-dynamic-sizing',
+            name: 'Toggle dynamic sizing',
+            callback: async () => {
+                this.settings.paused = !this.settings.paused;
+                await this.saveSettings();
+                refreshAllGraphViews(this);
+                new Notice(`Dynamic node sizing ${this.settings.paused ? 'paused' : 'resumed'}`);
+            }
+        });
+
+        this.addCommand({
+            id: 'recompute-node-sizes',
+            name: 'Recompute all graph views',
+            callback: () => this.recompute()
+        });
+
+        this.addCommand({
+            id: 'cycle-sizing-preset',
+            name: 'Cycle sizing presets',
+            callback: async () => {
+                const presets = this.getPresets();
+                const current = presets.findIndex(preset => preset.name === this.settings.activePreset);
+                const preset = presets[(current + 1) % presets.length];
+                await this.applyPreset(preset.name);
+                new Notice(`Sizing preset: ${preset.name}`);
+            }
+        });
+
+        this.addCommand({
+            id: 'switch-sizing-preset',
+            name: 'Switch sizing preset',
+            callback: () => new PresetSuggestModal(this).open()
+        });
+
+        this.addCommand({
+            id: 'toggle-exclude-active-note',
+            name: 'Exclude or include active note',
+            checkCallback: (checking) => {
+                const file = this.app.workspace.getActiveFile();
+                if (!file) return false;
+                if (!checking) {
+                    // By exact path: a title would match same-named notes in other folders
+                    this.toggleExclusion('excludeFolders', file.path, `"${file.path}"`);
+                }
+                return true;
+            }
+        });
+
+        this.addCommand({
+            id: 'toggle-exclude-active-folder',
+            name: 'Exclude or include folder of active note',
+            checkCallback: (checking) => {
+                const folder = this.app.workspace.getActiveFile()?.parent;
+                if (!folder || folder.isRoot?.() || folder.path === '/') return false;
+                if (!checking) {
+                    this.toggleExclusion('excludeFolders', folder.path, `folder "${folder.path}"`);
+                }
+                return true;
+            }
+        });
+
+        this.addCommand({
+            id: 'toggle-exclude-active-tags',
+            name: 'Exclude or include tags of active note',
+            checkCallback: (checking) => {
+                const file = this.app.workspace.getActiveFile();
+                const tags = file ? this.getFileTags(file) : [];
+                if (tags.length === 0) return false;
+                if (!checking) {
+                    const excludeTags = this.settings.excludeTags || [];
+                    const excludedValues = excludeTags.map(entry => entry.value);
+                    // Un-exclude if any of the note's tags is excluded, otherwise exclude them all
+                    const excluded = tags.some(tag => excludedValues.includes(tag));
+                    this.settings.excludeTags = excluded
+                        ? excludeTags.filter(entry => !tags.includes(entry.value))
+                        : excludeTags.concat(tags
+                            .filter(tag => !excludedValues.includes(tag))
+                            .map(tag => ({ value: tag, scope: 'both' })));
+                    this.saveSettings().then(() => refreshAllGraphViews(this));
+                    new Notice(`${excluded ? 'Included' : 'Excluded'} tags: ${tags.join(', ')}`);
+                }
+                return true;
+            }
+        });
+
+        this.addCommand({
+            id: 'open-hub-report',
+            name: 'Open node size report',
+            callback: () => this.openReport()
+        });
+
+        this.addCommand({
+            id: 'set-node-size',
+            name: 'Set node size of active note',
+            checkCallback: (checking) => {
+                const file = this.app.workspace.getActiveFile();
+                if (!file || file.extension !== 'md') return false;
+                if (!checking) {
+                    new NodeSizeModal(this.app, file, this.getOverrideKey()).open();
+                }
+                return true;
+            }
+        });
+    }
+
+    // Public API for scripts and other plugins, e.g. from Dataview:
+    //   app.plugins.plugins['dynamic-node-size'].getNodeSize('Notes/Hub.md')
+    // Sizes use the global settings over every note in the vault, as in the
+    // global graph view without filters. Listen for
+    // SIZES_CHANGED_EVENT on app.workspace to learn when they may have changed.
+
+    // Final size of a note, or null when it keeps its native size (excluded,
+    // not included, sizing paused) or does not exist
+    getNodeSize(path) {
+        if (this.settings?.paused) return null;
+        return this.getVaultSizes().get(path)?.size ?? null;
+    }
+
+    // Value of a registered metric for a note, or null for an unknown metric
+    getMetric(path, name = this.settings?.sizeMetric) {
+        if (!METRICS.has(name) || !this.app.vault.getFileByPath(path)) return null;
+        return this.getMetricValue(path, name, this.getGlobalScope());
+    }
+
+    // Drop every cache and recompute all graph views
+    recompute() {
+        this.reachCache.clear();
+        this.viewCaches.clear();
+        refreshAllGraphViews(this);
+    }
+
+    // Add a sizing metric: { id, name, compute(plugin, path, scope) } or
+    // { id, name, computeAll(plugin, scope) } (see METRICS). It appears in the
+    // Sizing Metric setting. Returns a function that removes it again.
+    registerMetric(metric) {
+        if (!metric?.id || typeof (metric.compute || metric.computeAll) !== 'function') {
+            throw new Error('A metric needs an id and a compute or computeAll function');
+        }
+        registerMetric({ name: metric.id, ...metric });
+        this.recompute();
+        return () => {
+            if (METRICS.get(metric.id)?.compute === metric.compute && METRICS.get(metric.id)?.computeAll === metric.computeAll) {
+                METRICS.delete(metric.id);
+                this.recompute();
+            }
+        };
+    }
+
+    // Add a size modifier: modify(size, { path, file, kind, source, value })
+    // returns a new size (or nothing to keep it). Modifiers run after all
+    // other sizing, in registration order. Returns a function that removes it.
+    registerSizeModifier(id, modify) {
+        if (!id || typeof modify !== 'function') {
+            throw new Error('A size modifier needs an id and a function');
+        }
+        this.sizeModifiers.set(id, modify);
+        this.recompute();
+        return () => {
+            if (this.sizeModifiers.get(id) === modify) {
+                this.sizeModifiers.delete(id);
+                this.recompute();
+            }
+        };
+    }
+
+    async openReport() {
+        let leaf = this.app.workspace.getLeavesOfType(REPORT_VIEW_TYPE)[0];
+        if (!leaf) {
+            leaf = this.app.workspace.getLeaf('tab');
+            await leaf.setViewState({ type: REPORT_VIEW_TYPE, active: true });
+        }
+        this.app.workspace.revealLeaf(leaf);
+    }
+
+    // One row per note with its metric, size and why it got that size. Uses
+    // the same computation as the API, see getVaultSizes().
+    getReportRows() {
+        return Array.from(this.getVaultSizes().values(), entry => ({
+            path: entry.node.id,
+            value: entry.value,
+            size: entry.size,
+            source: SIZE_SOURCES[entry.source],
+            exclusion: entry.reason || ''
+        }));
+    }
+
+    // Built-in presets followed by the user's own
+    getPresets() {
+        return SIZING_PRESETS.map(preset => ({ ...preset, builtIn: true })).concat(this.settings.presets || []);
+    }
+
+    async applyPreset(name) {
+        const preset = this.getPresets().find(p => p.name === name);
+        if (!preset) return;
+        Object.assign(this.settings, clonePresetValues(preset.values), { activePreset: preset.name });
+        await this.saveSettings();
+        refreshAllGraphViews(this);
+    }
+
+    // Snapshot of the current settings covered by presets
+    capturePresetValues() {
+        const values = {};
+        for (const key of PRESET_KEYS) {
+            values[key] = this.settings[key];
+        }
+        return clonePresetValues(values);
+    }
+
+    // First free preset name of the form "base", "base 2", "base 3", ...
+    getUniquePresetName(base) {
+        const names = new Set(this.getPresets().map(preset => preset.name));
+        let name = base;
+        for (let i = 2; names.has(name); i++) {
+            name = `${base} ${i}`;
+        }
+        return name;
+    }
+
+    // Add a value to an exclusion list, or remove it if already there
+    toggleExclusion(key, value, label) {
+        const list = this.settings[key] || [];
+        // Titles are plain lines, folders and tags are { value, scope } entries
+        const index = key === 'excludeTitles'
+            ? list.findIndex(line => parseTitleExclusion(line).value === value)
+            : list.findIndex(entry => entry.value === value);
+        if (index >= 0) {
+            list.splice(index, 1);
+        } else {
+            list.push(key === 'excludeTitles' ? value : { value, scope: 'both' });
+        }
+        this.settings[key] = list;
+        this.saveSettings().then(() => refreshAllGraphViews(this));
+        new Notice(`${index >= 0 ? 'Included' : 'Excluded'} ${label}`);
+    }
+
+    // Tags of a note as matched by tag exclusions (without the leading #)
+    getFileTags(file) {
+        return getCacheTags(this.app.metadataCache.getFileCache(file));
+    }
+
+    // Whether any of a note's tags matches a tag pattern (see compileTagPattern)
+    hasMatchingTag(file, pattern) {
+        const nested = this.settings?.matchNestedTags !== false;
+        const matcher = this.getMatcher('tag', pattern);
+        return this.getFileTags(file).some(tag => matcher.test(tag, nested));
+    }
+
+    onunload() {
+        // A refresh scheduled before unloading must not size the views again
+        this.unloaded = true;
+        this.scheduleRefresh?.cancel();
+        this.tooltipEl?.remove();
+        // Restore every renderer we hooked, and the native node sizes
+        for (const view of Array.from(this.hookedViews.keys())) {
+            this.unhookView(view);
+        }
+    }
+
+    // Wrap renderer.setData so sizes are reapplied whenever the renderer adds
+    // or replaces nodes (setData resets node.weight to the native value)
+    hookGraphViews() {
+        const graphLeaves = getGraphLeaves(this.app);
+        for (const leaf of graphLeaves) {
+            const view = leaf.view;
+            if (!view || !view.renderer) continue;
+            // Avoid wrapping the same renderer twice
+            if (this.hookedViews.has(view)) continue;
+            const renderer = view.renderer;
+            const originalSetData = renderer.setData;
+            if (typeof originalSetData === 'function') {
+                const plugin = this;
+                renderer.setData = function (...args) {
+                    const result = originalSetData.apply(this, args);
+                    // setData reset the nodes to their native values
+                    plugin.nativeNodes.delete(view);
+                    plugin.updateNodeSizes(view);
+                    return result;
+                };
+            }
+            this.hookedViews.set(view, originalSetData);
+            this.hookViewState(view, leaf);
+            this.hookHover(view);
+            this.updateNodeSizes(view);
+        }
+        // Clean up hooks for closed views
+        for (const view of Array.from(this.hookedViews.keys())) {
+            if (!graphLeaves.some(l => l.view === view)) {
+                this.forgetViewConfig(view);
+                this.unhookView(view);
+            }
+        }
+    }
+
+    unhookView(view) {
+        this.restoreView(view);
+        const originalSetData = this.hookedViews.get(view);
+        if (view.renderer && typeof originalSetData === 'function') {
+            view.renderer.setData = originalSetData;
+        }
+        this.hookedViews.delete(view);
+        this.unhookViewState(view);
+        this.viewCaches.delete(view);
+        this.viewNormalizations.delete(view);
+        const hover = this.hoverHandlers.get(view);
+        if (hover) {
+            view.containerEl?.removeEventListener('mousemove', hover.move);
+            view.containerEl?.removeEventListener('mouseleave', hover.leave);
+            this.hoverHandlers.delete(view);
+        }
+    }
+
+    // Show a node's size explanation next to the cursor while the renderer
+    // highlights it
+    hookHover(view) {
+        if (!view.containerEl) return;
+        let current = null;
+        const leave = () => {
+            current = null;
+            if (this.tooltipEl) this.tooltipEl.style.display = 'none';
+        };
+        const move = (event) => {
+            const node = view.renderer?.highlightNode;
+            if (!node || this.settings?.showExplanations === false) {
+                leave();
+                return;
+            }
+            if (!this.tooltipEl) {
+                this.tooltipEl = document.body.createDiv({ cls: 'tooltip dynamic-node-size-tooltip' });
+                Object.assign(this.tooltipEl.style, { position: 'fixed', pointerEvents: 'none', whiteSpace: 'pre', textAlign: 'left' });
+            }
+            if (node !== current) {
+                current = node;
+                const explanation = this.explain(node.id, view);
+                const settings = this.getViewSettings(view) || this.settings;
+                this.tooltipEl.setText(explanation ? formatExplanation(explanation, settings).join('\n') : node.id);
+            }
+            Object.assign(this.tooltipEl.style, {
+                display: '',
+                left: `${event.clientX + 16}px`,
+                top: `${event.clientY + 16}px`
+            });
+        };
+        view.containerEl.addEventListener('mousemove', move);
+        view.containerEl.addEventListener('mouseleave', leave);
+        this.hoverHandlers.set(view, { move, leave });
+    }
+
+    // Status bar: final size of the active note, with the full explanation
+    // on hover and click. Uses the open global graph view, if any. Only the
+    // active note is computed, scaled as in the last graph pass.
+    updateStatusBar() {
+        if (!this.statusBarEl) return;
+        const file = this.app.workspace.getActiveFile();
+        if (!file || file.extension !== 'md' || this.settings?.showExplanations === false) {
+            this.statusBarEl.empty();
+            this.statusBarEl.removeAttribute('aria-label');
+            return;
+        }
+        const graphView = this.app.workspace.getLeavesOfType('graph')[0]?.view;
+        const view = graphView?.renderer ? graphView : null;
+        // Sizing the whole vault on every file-open costs too much while no
+        // graph view is open
+        const explanation = this.explain(file.path, view, false);
+        const settings = (view && this.getViewSettings(view)) || this.settings;
+        let text = `Node size: ${formatNumber(explanation.size)}`;
+        if (explanation.size === null) text = 'Node size: native';
+        else if (isUnscaled(explanation, settings)) text = 'Node size: not scaled yet';
+        this.statusBarEl.setText(text);
+        this.statusBarEl.setAttribute('aria-label', formatExplanation(explanation, settings).join('\n'));
+    }
+
+    // Remember a node's native weight and color before first overwriting them
+    rememberNativeNode(view, node) {
+        let natives = this.nativeNodes.get(view);
+        if (!natives) {
+            natives = new Map();
+            this.nativeNodes.set(view, natives);
+        }
+        if (!natives.has(node.id)) {
+            natives.set(node.id, { weight: node.weight, color: node.color });
+        }
+        return natives.get(node.id);
+    }
+
+    // Put a node's native weight and color back, if we changed them
+    restoreNativeNode(view, node) {
+        const natives = this.nativeNodes.get(view);
+        const native = natives?.get(node.id);
+        if (!native) return;
+        node.weight = native.weight;
+        node.color = native.color;
+        natives.delete(node.id);
+    }
+
+    // Restore every node of a view to its native size and color
+    restoreView(view) {
+        const renderer = view.renderer;
+        if (renderer) {
+            renderer.nodes.forEach(node => this.restoreNativeNode(view, node));
+            if (typeof renderer.changed === 'function') {
+                renderer.changed();
+            }
+        }
+        this.nativeNodes.delete(view);
+    }
+
+    // Settings a view is sized with: the global settings with the values of
+    // its pinned preset or custom settings on top, or null for the global ones
+    getViewSettings(view) {
+        const config = this.viewConfigs.get(view);
+        if (!config) return null;
+        const values = config.preset
+            ? this.getPresets().find(preset => preset.name === config.preset)?.values
+            : config.values;
+        return values ? { ...this.settings, ...values } : null;
+    }
+
+    // Run fn with this.settings replaced by the view's own settings, if any
+    withViewSettings(view, fn) {
+        const viewSettings = this.getViewSettings(view);
+        if (!viewSettings) return fn();
+        const globalSettings = this.settings;
+        this.settings = viewSettings;
+        try {
+            return fn();
+        } finally {
+            this.settings = globalSettings;
+        }
+    }
+
+    // Pin a preset ({ preset: name }) or custom settings ({ values }) to a
+    // view, or go back to the global settings with null
+    setViewConfig(view, config) {
+        if (config) {
+            this.viewConfigs.set(view, config);
+        } else {
+            this.viewConfigs.delete(view);
+        }
+        this.viewCaches.delete(view);
+        this.storeViewConfig(view, config);
+        this.app.workspace.requestSaveLayout?.();
+        this.updateNodeSizes(view);
+    }
+
+    // The layout drops a view's settings once the plugin is disabled, so keep
+    // them by leaf id in the plugin settings too
+    storeViewConfig(view, config) {
+        const id = view.leaf?.id;
+        if (!id) return;
+        const stored = this.settings.leafViewConfigs;
+        if (config) {
+            stored[id] = config;
+        } else if (id in stored) {
+            delete stored[id];
+        } else {
+            return;
+        }
+        this.saveSettings();
+    }
+
+    // The view's leaf was closed or now shows something else
+    forgetViewConfig(view) {
+        this.storeViewConfig(view, null);
+    }
+
+    // Keep a view's own settings in its saved state (and so in the workspace
+    // layout), and offer them in the view's header menu
+    hookViewState(view, leaf) {
+        const original = { getState: view.getState, setState: view.setState, onPaneMenu: view.onPaneMenu };
+        const plugin = this;
+        if (typeof original.getState === 'function') {
+            view.getState = function (...args) {
+                const state = original.getState.apply(this, args);
+                const config = plugin.viewConfigs.get(view);
+                return config ? { ...state, [VIEW_STATE_KEY]: config } : state;
+            };
+        }
+        if (typeof original.setState === 'function') {
+            view.setState = function (state, ...args) {
+                if (state && VIEW_STATE_KEY in state) {
+                    plugin.setViewConfig(view, state[VIEW_STATE_KEY]);
+                }
+                return original.setState.call(this, state, ...args);
+            };
+        }
+        if (typeof original.onPaneMenu === 'function') {
+            view.onPaneMenu = function (menu, ...args) {
+                const result = original.onPaneMenu.call(this, menu, ...args);
+                plugin.addViewMenuItems(view, menu);
+                return result;
+            };
+        }
+        this.viewStateHooks.set(view, original);
+        // The leaf may have been restored before the view could be hooked,
+        // or while the plugin was disabled
+        if (!this.viewConfigs.has(view)) {
+            const stored = this.settings.leafViewConfigs[leaf.id];
+            const saved = leaf.getViewState?.()?.state?.[VIEW_STATE_KEY] || stored;
+            if (saved) this.viewConfigs.set(view, saved);
+            if (saved && !stored) this.storeViewConfig(view, saved);
+        }
+    }
+
+    unhookViewState(view) {
+        const original = this.viewStateHooks.get(view);
+        if (!original) return;
+        for (const [name, method] of Object.entries(original)) {
+            if (typeof method === 'function') view[name] = method;
+        }
+        this.viewStateHooks.delete(view);
+        this.viewConfigs.delete(view);
+    }
+
+    addViewMenuItems(view, menu) {
+        const config = this.getViewSettings(view) ? this.viewConfigs.get(view) : null;
+        menu.addSeparator();
+        menu.addItem(item => item
+            .setTitle('Node sizes: global settings')
+            .setIcon('network')
+            .setChecked(!config)
+            .onClick(() => this.setViewConfig(view, null)));
+        for (const preset of this.getPresets()) {
+            menu.addItem(item => item
+                .setTitle(`Node sizes: ${preset.name}`)
+                .setChecked(config?.preset === preset.name)
+                .onClick(() => this.setViewConfig(view, { preset: preset.name })));
+        }
+        menu.addItem(item => item
+            .setTitle(config?.values ? 'Node sizes: update pinned settings' : 'Node sizes: pin current settings')
+            .setChecked(!!config?.values)
+            .onClick(() => this.setViewConfig(view, { values: this.capturePresetValues() })));
+    }
+
+    // Helper to check if a file should be excluded
+    // `use` is 'sizing' (keep the native size) or 'traversal' (skip when counting)
+    isExcluded(file, use = 'sizing') {
+        return this.getExclusionReason(file, use) !== null;
+    }
+
+    // Description of the first exclusion matching a file, or null
+    getExclusionReason(file, use = 'sizing') {
+        if (!file) return null;
+        const rule = this.getMatchingRule(file);
+        if (rule?.action === 'exclude') return `Rule: ${rule.match} "${rule.pattern}"`;
+        const { excludeFolders = [], excludeTitles = [], excludeTags = [] } = this.settings || {};
+        // Folder exclusion (prefix or glob)
+        if (excludeFolders.length > 0) {
+            for (const { value: folder, scope } of excludeFolders) {
+                if (!folder || !exclusionApplies(scope, use)) continue;
+                if (this.getMatcher('folder', folder).test(file.path)) {
+                    return `${file.path === folder ? 'Note' : 'Folder'}: ${folder}`;
+                }
+            }
+        }
+        // Title exclusion (filename without extension, name or /regex/flags)
+        if (excludeTitles.length > 0) {
+            const basename = file.basename;
+            for (const line of excludeTitles) {
+                const { value: title, scope, test } = this.getMatcher('titleExclusion', line);
+                if (!exclusionApplies(scope, use)) continue;
+                if (test(basename)) return `Title: ${title}`;
+            }
+        }
+        // Tag exclusion (inline and frontmatter tags, nested and wildcards)
+        if (excludeTags.length > 0) {
+            for (const { value: tag, scope } of excludeTags) {
+                if (!tag || !exclusionApplies(scope, use)) continue;
+                if (this.hasMatchingTag(file, tag)) return `Tag: ${tag}`;
+            }
+        }
+        return null;
+    }
+
+    // Whether a file is in the include-list. An empty include-list includes
+    // every note; otherwise a note must match a folder, title or tag entry.
+    isIncluded(file) {
+        const { includeFolders = [], includeTitles = [], includeTags = [] } = this.settings || {};
+        const folders = includeFolders.map(entry => entry.value).filter(Boolean);
+        const tags = includeTags.map(entry => entry.value).filter(Boolean);
+        if (folders.length === 0 && includeTitles.length === 0 && tags.length === 0) return true;
+        return folders.some(folder => this.getMatcher('folder', folder).test(file.path))
+            || includeTitles.some(title => this.getMatcher('title', title).test(file.basename))
+            || tags.some(tag => this.hasMatchingTag(file, tag));
+    }
+
+    // Compiled folder, tag or title pattern, see compileFolderPattern(),
+    // compileTagPattern() and compileTitlePattern(). 'titleExclusion' also parses the scope prefix of
+    // an "Exclude Page Titles" line. Patterns are compiled on first use and
+    // dropped whenever settings are saved.
+    getMatcher(kind, pattern) {
+        const key = `${kind}:${pattern}`;
+        let matcher = this.matchers.get(key);
+        if (!matcher) {
+            if (kind === 'folder') {
+                matcher = compileFolderPattern(pattern);
+            } else if (kind === 'tag') {
+                matcher = compileTagPattern(pattern);
+            } else if (kind === 'titleExclusion') {
+                const { value, scope } = parseTitleExclusion(pattern);
+                matcher = { value, scope, ...compileTitlePattern(value) };
+            } else {
+                matcher = compileTitlePattern(pattern);
+            }
+            this.matchers.set(key, matcher);
+        }
+        return matcher;
+    }
+
+    // Number of notes a folder, title or tag pattern matches, for previews
+    countMatchingNotes(kind, pattern) {
+        if (!pattern) return 0;
+        let count = 0;
+        for (const file of this.app.vault.getMarkdownFiles()) {
+            const matches = kind === 'tag' ? this.hasMatchingTag(file, pattern)
+                : kind === 'folder' ? this.getMatcher('folder', pattern).test(file.path)
+                : this.getMatcher('title', pattern).test(file.basename);
+            if (matches) count++;
+        }
+        return count;
+    }
+
+    // First sizing rule matching a file, if any
+    getMatchingRule(file) {
+        for (const rule of this.settings?.sizingRules || []) {
+            if (rule.pattern && this.ruleMatches(rule, file)) return rule;
+        }
+        return null;
+    }
+
+    ruleMatches(rule, file) {
+        const pattern = rule.pattern.trim();
+        switch (rule.match) {
+            case 'folder':
+                return this.getMatcher('folder', pattern).test(file.path);
+            case 'tag':
+                return this.hasMatchingTag(file, pattern);
+            case 'title':
+                return this.getMatcher('title', pattern).test(file.basename);
+            case 'property': {
+                // "key=value" compares the value, "key" only checks presence
+                const frontmatter = this.app.metadataCache.getFileCache(file)?.frontmatter;
+                if (!frontmatter) return false;
+                const separator = pattern.indexOf('=');
+                const key = (separator >= 0 ? pattern.slice(0, separator) : pattern).trim();
+                if (!(key in frontmatter)) return false;
+                if (separator < 0) return true;
+                const expected = pattern.slice(separator + 1).trim();
+                const actual = frontmatter[key];
+                return Array.isArray(actual)
+                    ? actual.some(item => String(item) === expected)
+                    : String(actual) === expected;
+            }
+            default:
+                return false;
+        }
+    }
+
+    // A note's links changed: drop the counts that depended on it, or on the
+    // notes it links to (their backlinks changed too). Graph-wide values are
+    // only dropped when the note's links, tags or frontmatter changed.
+    invalidateLinks(path) {
+        let structural = true;
+        if (this.linkSignatures) {
+            const signature = this.getLinkSignature(path);
+            structural = this.linkSignatures.get(path) !== signature;
+            this.linkSignatures.set(path, signature);
+        }
+        for (const affected of this.linkIndex.update(path)) {
+            this.reachCache.invalidate(affected, structural);
+            for (const cache of this.viewCaches.values()) {
+                cache.invalidate(affected, structural);
+            }
+        }
+    }
+
+    // What a note contributes to graph-wide values: its links and embeds,
+    // and the tags and frontmatter exclusions and rules can match
+    getLinkSignature(path) {
+        const file = this.app.vault.getFileByPath(path);
+        if (!file) return '';
+        const cache = this.app.metadataCache.getFileCache(file);
+        return JSON.stringify([
+            Object.keys(this.app.metadataCache.resolvedLinks[path] || {}),
+            Object.keys(this.app.metadataCache.unresolvedLinks?.[path] || {}),
+            (cache?.embeds || []).map(embed => embed.link),
+            getCacheTags(cache),
+            cache?.frontmatter || null
+        ]);
+    }
+
+    // Record every note's signature before graph-wide values are first
+    // computed, so later edits can be compared against it
+    recordLinkSignatures() {
+        if (this.linkSignatures) return;
+        this.linkSignatures = new Map();
+        for (const file of this.app.vault.getMarkdownFiles()) {
+            this.linkSignatures.set(file.path, this.getLinkSignature(file.path));
+        }
+    }
+
+    // Settings that change connection counts; the cache is dropped when they do
+    getCacheSignature() {
+        const {
+            maxDepth, linkDirection, edgeWeighting, edgeWeightCap, depthDecay,
+            excludeFolders, excludeTitles, excludeTags, matchNestedTags, sizingRules,
+            includeFolders, includeTitles, includeTags, restrictTraversalToIncluded
+        } = this.settings || {};
+        return JSON.stringify({
+            maxDepth, linkDirection, edgeWeighting, edgeWeightCap, depthDecay, excludeFolders, excludeTitles, excludeTags, matchNestedTags, sizingRules,
+            // Only affects counts when traversal is restricted to the include-list
+            include: restrictTraversalToIncluded ? { includeFolders, includeTitles, includeTags } : null
+        });
+    }
+
+    // Scope covering the whole vault. A scope bundles the cache to use, an
+    // optional set of allowed paths and an optional depth cap.
+    getGlobalScope() {
+        this.reachCache.sync(this.getCacheSignature());
+        return { cache: this.reachCache, allowed: null, maxDepth: null };
+    }
+
+    // Scope for a view: the whole vault, or only the notes the view shows
+    // (with visibleNodesOnly). Local graphs in neighborhood mode only count
+    // the notes within the local graph's depth of its focused note, and cap
+    // the depth at that too. Views with their own settings get their own cache.
+    getViewScope(view) {
+        const neighborhood = view.getViewType?.() === 'localgraph' && this.settings?.localGraphMode === 'neighborhood';
+        const visibleOnly = !!this.settings?.visibleNodesOnly;
+        if (!neighborhood && !visibleOnly && !this.viewConfigs.has(view)) {
+            return this.getGlobalScope();
+        }
+        let allowed = null;
+        if (neighborhood || visibleOnly) {
+            allowed = new Set();
+            view.renderer.nodes.forEach(node => allowed.add(node.id));
+        }
+        let maxDepth = null;
+        let distances = null;
+        if (neighborhood) {
+            const localDepth = getLocalGraphDepth(view);
+            maxDepth = localDepth ? Math.min(this.settings?.maxDepth || 3, localDepth) : null;
+            if (view.file) {
+                distances = this.getFocusDistances(view, localDepth || 1);
+                allowed = visibleOnly
+                    ? new Set(Array.from(allowed).filter(path => distances.has(path)))
+                    : new Set(distances.keys());
+            }
+        }
+        let cache = this.viewCaches.get(view);
+        if (!cache) {
+            cache = new ReachCache();
+            this.viewCaches.set(view, cache);
+        }
+        cache.sync(`${this.getCacheSignature()}|${maxDepth}|${allowed ? Array.from(allowed).join('|') : ''}`);
+        return { cache, allowed, maxDepth, distances };
+    }
+
+    // Hop distance of every note within `depth` links of a local graph's
+    // focused note, following the link directions the local graph shows
+    getFocusDistances(view, depth) {
+        const options = view.getState?.()?.options || {};
+        const backlinks = options.localBacklinks !== false;
+        const forelinks = options.localForelinks !== false;
+        const direction = backlinks && forelinks ? 'both' : backlinks ? 'incoming' : 'outgoing';
+        const distances = new Map([[view.file.path, 0]]);
+        let level = [view.file.path];
+        for (let hop = 1; hop <= depth && level.length > 0; hop++) {
+            const next = [];
+            for (const path of level) {
+                for (const linkedPath of this.linkIndex.getNeighbors(path, direction)) {
+                    if (distances.has(linkedPath)) continue;
+                    distances.set(linkedPath, hop);
+                    next.push(linkedPath);
+                }
+            }
+            level = next;
+        }
+        return distances;
+    }
+
+    // Paths linked to a node in the configured direction
+    getLinkedPaths(nodeId) {
+        return this.linkIndex.getNeighbors(nodeId, this.settings?.linkDirection || 'outgoing');
+    }
+
+    // Weight of the edge between two linked notes, from how often they link
+    getEdgeWeight(fromPath, toPath) {
+        const mode = this.settings?.edgeWeighting || 'none';
+        if (mode === 'none') return 1;
+        const resolvedLinks = this.app.metadataCache.resolvedLinks;
+        const direction = this.settings?.linkDirection || 'outgoing';
+        let count = 0;
+        if (direction !== 'incoming') count += resolvedLinks[fromPath]?.[toPath] || 0;
+        if (direction !== 'outgoing') count += resolvedLinks[toPath]?.[fromPath] || 0;
+        count = Math.max(count, 1);
+        if (mode === 'log') return 1 + Math.log(count);
+        return Math.min(count, this.settings?.edgeWeightCap || 5);
+    }
+
+    // Cached entry point for the connected node count
+    getConnectedCount(nodeId, scope = this.getGlobalScope()) {
+        const cached = scope.cache.get(nodeId);
+        if (cached !== undefined) return cached;
+        const visited = new Set();
+        const count = this.calculateTotalConnectedNodes(nodeId, visited, scope);
+        scope.cache.set(nodeId, count, visited);
+        return count;
+    }
+
+    // Value of a sizing metric for one node (defaults to the configured metric)
+    getMetricValue(path, metricId = this.settings?.sizeMetric, scope = this.getGlobalScope()) {
+        const metric = METRICS.get(metricId) || METRICS.get('reach');
+        // A note excluded from traversal only is still sized by its own
+        // connections: other metrics than reach (whose walk starts at the
+        // note anyway) see it in a scope where such notes are linked in
+        if (metric.id !== 'reach' && this.isExcludedFromTraversalOnly(path, scope)) {
+            scope = this.getBridgedScope(scope);
+        }
+        if (!metric.computeAll) {
+            return metric.compute(this, path, scope);
+        }
+        let values = scope.cache.graphMetrics.get(metric.id);
+        if (!values) {
+            this.recordLinkSignatures();
+            values = metric.computeAll(this, scope);
+            scope.cache.graphMetrics.set(metric.id, values);
+        }
+        return values.get(path) || 0;
+    }
+
+    // Adjacency over non-excluded notes in scope, shared by the graph metrics
+    getLinkGraph(scope = this.getGlobalScope()) {
+        if (!scope.cache.linkGraph) {
+            this.recordLinkSignatures();
+            const resolvedLinks = this.app.metadataCache.resolvedLinks;
+            const nodes = [];
+            const outgoing = new Map();
+            const incoming = new Map();
+            const candidates = scope.allowed
+                ? Array.from(scope.allowed)
+                : this.app.vault.getMarkdownFiles().map(file => file.path);
+            for (const path of candidates) {
+                if (!this.isTraversable(path, scope)) continue;
+                nodes.push(path);
+                outgoing.set(path, []);
+                incoming.set(path, []);
+            }
+            for (const source of nodes) {
+                for (const target in resolvedLinks[source] || {}) {
+                    if (target === source || !incoming.has(target)) continue;
+                    outgoing.get(source).push(target);
+                    incoming.get(target).push(source);
+                }
+            }
+            scope.cache.linkGraph = { nodes, outgoing, incoming };
+        }
+        return scope.cache.linkGraph;
+    }
+
+    // The same scope with its own cache, in which notes excluded from
+    // traversal but not from sizing are traversable too
+    getBridgedScope(scope) {
+        if (!scope.cache.bridged) scope.cache.bridged = new ReachCache();
+        return { ...scope, cache: scope.cache.bridged, bridging: true };
+    }
+
+    // Whether a note in scope is sized but hidden from traversal
+    isExcludedFromTraversalOnly(path, scope = this.getGlobalScope()) {
+        if (scope.bridging || (scope.allowed && !scope.allowed.has(path))) return false;
+        const file = this.app.vault.getFileByPath(path);
+        return !!file && !this.isTraversable(path, scope) && !this.isExcluded(file, 'sizing');
+    }
+
+    // Whether a path is an existing, non-excluded file in scope (memoized per path)
+    isTraversable(path, scope = this.getGlobalScope()) {
+        if (scope.allowed && !scope.allowed.has(path)) return false;
+        let traversable = scope.cache.traversable.get(path);
+        if (traversable === undefined) {
+            const file = this.app.vault.getFileByPath(path);
+            traversable = !!file && (!this.isExcluded(file, 'traversal') || (!!scope.bridging && !this.isExcluded(file, 'sizing')))
+                && (!this.settings?.restrictTraversalToIncluded || this.isIncluded(file));
+            scope.cache.traversable.set(path, traversable);
+        }
+        return traversable;
+    }
+
+    // Calculate total connected nodes up to the maximum depth, breadth-first
+    // so every node counts at its shortest hop distance. Each reached node
+    // contributes the weight of the edge it was reached by (the heaviest one
+    // at that distance), decayed per hop (1 for every node with the default
+    // settings). Every path seen is added to `visited`; an optional `trace`
+    // object records the deepest level reached.
+    calculateTotalConnectedNodes(nodeId, visited = new Set(), scope = this.getGlobalScope(), trace = null) {
+        visited.add(nodeId);
+
+        // The starting note only needs to exist: a note excluded from traversal
+        // is still sized by its own connections
+        if (!this.app.vault.getFileByPath(nodeId)) {
+            return 0;
+        }
+        if (trace) trace.depth = 0;
+
+        const decay = this.settings?.depthDecay ?? 1;
+        const maxDepth = scope.maxDepth || this.settings?.maxDepth || 3;
+        let totalConnected = 1; // Start with the current node
+        let level = [nodeId];
+
+        for (let depth = 1; depth <= maxDepth && level.length > 0; depth++) {
+            // Path -> heaviest edge weight it is reached by at this depth
+            const reached = new Map();
+            for (const fromPath of level) {
+                for (const linkedPath of this.getLinkedPaths(fromPath)) {
+                    if (visited.has(linkedPath)) continue;
+                    const weight = this.getEdgeWeight(fromPath, linkedPath);
+                    reached.set(linkedPath, Math.max(reached.get(linkedPath) || 0, weight));
+                }
+            }
+            level = [];
+            for (const [path, weight] of reached) {
+                visited.add(path);
+                if (!this.isTraversable(path, scope)) continue;
+                totalConnected += weight * Math.pow(decay, depth);
+                level.push(path);
+                if (trace) trace.depth = depth;
+            }
+        }
+
+        return totalConnected;
+    }
+
+    updateNodeSizes(view) {
+        if (!view.renderer || this.unloaded) return;
+        this.withViewSettings(view, () => this.sizeView(view));
+        this.app.workspace.trigger(VIEW_SIZED_EVENT, view);
+    }
+
+    // Apply sizes and colors to one view's nodes, using this.settings
+    sizeView(view) {
+        const { renderer } = view;
+
+        // Paused: leave the graph at its native sizes
+        if (this.settings?.paused) {
+            this.restoreView(view);
+            return;
+        }
+
+        const nodes = [];
+        renderer.nodes.forEach(node => nodes.push(node));
+        const sizedNodes = [];
+        const normalization = {};
+        const scope = this.getViewScope(view);
+        for (const entry of this.computeSizes(nodes, scope, normalization)) {
+            if (entry.size === null) {
+                // Undo any size we gave it before it became excluded
+                this.restoreNativeNode(view, entry.node);
+                continue;
+            }
+            const native = this.rememberNativeNode(view, entry.node);
+            entry.node.weight = entry.size;
+            sizedNodes.push({ node: entry.node, native, frontmatter: entry.frontmatter, kind: entry.kind, value: entry.value });
+        }
+        this.viewNormalizations.set(view, normalization);
+        // Local graphs and views scoped to their own notes scale against
+        // fewer notes than the vault
+        if (view.getViewType?.() === 'graph' && scope.cache === this.reachCache && !scope.allowed) {
+            this.lastNormalization = normalization;
+        }
+
+        this.applyNodeColors(sizedNodes);
+
+        // Ask the renderer to redraw with the new weights
+        if (typeof renderer.changed === 'function') {
+            renderer.changed();
+        }
+    }
+
+    // Compute sizes for a set of graph nodes (anything with an `id` and
+    // optionally a `type`) without touching them. Each entry records how its
+    // size came about:
+    //   source: 'metric', 'node_size', 'rule', 'excluded', 'not-included' or 'native'
+    //   value:  metric value (or blended score) the size was scaled from, if any
+    //   size:   final size, or null when the node keeps its native size
+    //   reason: matching exclusion for excluded notes
+    //   scaling: multiplier, clamping etc. for metric-based sizes, see createSizeScale()
+    //   override: frontmatter overrides of a sized note, see parseSizeOverride()
+    // `normalization` holds what sizes are scaled against: the blend maxima
+    // and a scale per node kind. Missing parts are built from these nodes and
+    // stored in it, so single nodes can later be sized the same way.
+    computeSizes(nodes, scope = this.getGlobalScope(), normalization = {}) {
+        // Collect metric values first so normalized scaling modes can see the
+        // whole distribution of the view
+        const entries = [];
+        const dynamicNodes = [];
+        const otherNodes = { tag: [], unresolved: [], attachment: [] };
+        for (const node of nodes) {
+            const file = this.app.vault.getFileByPath(node.id);
+            const kind = getNodeKind(node, file);
+            const entry = { node, file, kind, source: 'native', value: null, size: null, reason: null, frontmatter: null };
+            entries.push(entry);
+            if (kind !== 'note') {
+                // Tag, unresolved and attachment nodes have their own metric
+                const value = this.getOtherNodeValue(kind, node, file);
+                if (value === null) continue;
+                Object.assign(entry, { source: 'metric', value });
+                otherNodes[kind].push(entry);
+                continue;
+            }
+            // Exclusions win over the include-list, which wins over rules and overrides
+            entry.reason = this.getExclusionReason(file, 'sizing');
+            if (entry.reason !== null) {
+                entry.source = 'excluded';
+                continue;
+            }
+            if (!this.isIncluded(file)) {
+                entry.source = 'not-included';
+                continue;
+            }
+
+            // Check if there's a manual size in frontmatter first
+            entry.frontmatter = this.app.metadataCache.getFileCache(file)?.frontmatter;
+            entry.override = parseSizeOverride(entry.frontmatter, this.getOverrideKey());
+            const manualSize = entry.override.size;
+            const rule = this.getMatchingRule(file);
+
+            if (manualSize !== null || (rule?.action === 'fixed' && !entry.override.auto)) {
+                // Use manual size if specified, then a fixed-size rule. The
+                // metric is still recorded for the report.
+                Object.assign(entry, manualSize !== null
+                    ? { source: 'node_size', size: manualSize }
+                    : { source: 'rule', size: rule.value });
+                if (!this.settings?.blendEnabled) {
+                    entry.value = this.getMetricValue(node.id, this.settings?.sizeMetric, scope);
+                }
+            } else if (this.settings?.blendEnabled) {
+                // Blend: raw values now, combined once the view's maxima are known
+                entry.values = {};
+                for (const [id, weight] of Object.entries(this.settings.blendWeights || {})) {
+                    if (weight > 0 && METRICS.has(id)) entry.values[id] = this.getMetricValue(node.id, id, scope);
+                }
+                Object.assign(entry, { source: 'metric', overrides: getRuleOverrides(rule) });
+                dynamicNodes.push(entry);
+            } else {
+                // Calculate dynamic size based on the selected metric
+                Object.assign(entry, {
+                    source: 'metric',
+                    value: this.getMetricValue(node.id, this.settings?.sizeMetric, scope),
+                    overrides: getRuleOverrides(rule)
+                });
+                dynamicNodes.push(entry);
+            }
+        }
+
+        if (this.settings?.blendEnabled) {
+            normalization.blendMaxima = blendMetricValues(dynamicNodes, this.settings.blendWeights || {}, normalization.blendMaxima);
+        }
+
+        if (!normalization.note) {
+            normalization.note = createSizeScale(dynamicNodes.map(entry => entry.value), this.settings);
+        }
+        const scale = normalization.note;
+        for (const entry of dynamicNodes) {
+            entry.scaling = scale.explain(entry.value, entry.overrides);
+            entry.size = entry.scaling.size;
+        }
+
+        // Per-note multiplier and bounds apply to every size but an explicit one
+        for (const entry of entries) {
+            if (entry.override && entry.size !== null && entry.source !== 'node_size') {
+                const top = entry.scaling?.top ?? Math.max(this.settings?.maxSize || 50, this.settings?.minSize || 1);
+                entry.size = applySizeOverride(entry.size, entry.override, top);
+            }
+        }
+
+        // Each other node kind is scaled on its own, with its own multiplier
+        for (const [kind, kindEntries] of Object.entries(otherNodes)) {
+            if (kindEntries.length === 0) continue;
+            if (!normalization[kind]) {
+                normalization[kind] = createSizeScale(kindEntries.map(entry => entry.value), {
+                    ...this.settings,
+                    sizeMultiplier: this.settings?.[NODE_KINDS[kind].multiplierKey] || 1
+                });
+            }
+            const kindScale = normalization[kind];
+            for (const entry of kindEntries) {
+                entry.scaling = kindScale.explain(entry.value);
+                entry.size = entry.scaling.size;
+            }
+        }
+
+        // Size modifiers registered through the API run last, in order
+        if (this.sizeModifiers.size > 0) {
+            for (const entry of entries) {
+                if (entry.size === null) continue;
+                entry.modifiers = [];
+                for (const [id, modify] of this.sizeModifiers) {
+                    let size;
+                    try {
+                        size = modify(entry.size, { path: entry.node.id, file: entry.file, kind: entry.kind, source: entry.source, value: entry.value });
+                    } catch (error) {
+                        // Drop a failing modifier rather than report it for every node
+                        new Notice(`Removed size modifier "${id}" after an error: ${error?.message || error}`);
+                        this.sizeModifiers.delete(id);
+                        continue;
+                    }
+                    // Modifiers returning nothing or an invalid size leave it unchanged
+                    if (typeof size !== 'number' || !isFinite(size) || size <= 0 || size === entry.size) continue;
+                    entry.modifiers.push({ id, from: entry.size, to: size });
+                    entry.size = size;
+                }
+            }
+        }
+
+        return entries;
+    }
+
+    // computeSizes() for every note in the vault with the global settings, as
+    // in the global graph view without filters: path -> entry. Cached until
+    // the next refresh.
+    getVaultSizes() {
+        if (!this.vaultSizes) {
+            const nodes = this.app.vault.getMarkdownFiles().map(file => ({ id: file.path }));
+            this.vaultSizes = new Map();
+            this.vaultNormalization = {};
+            for (const entry of this.computeSizes(nodes, this.getGlobalScope(), this.vaultNormalization)) {
+                this.vaultSizes.set(entry.node.id, entry);
+            }
+        }
+        return this.vaultSizes;
+    }
+
+    // Why a node has its size, in a graph view or (without one) the global
+    // graph. Only this node is computed, scaled as in the view's last pass,
+    // or without a view as in getNodeSize(). Pass vaultPass = false to not
+    // size the vault for that: the last pass over the global graph view is
+    // used instead, if any. Returns the node's computeSizes() entry plus, for
+    // notes, the raw reach count and the deepest level the walk reached,
+    // `unnormalized` when there was nothing to scale against, and `paused`
+    // while sizing is paused.
+    explain(path, view = null, vaultPass = true) {
+        if (view?.renderer && this.viewConfigs.has(view)) {
+            return this.withViewSettings(view, () => this.explainWith(path, view, vaultPass));
+        }
+        return this.explainWith(path, view, vaultPass);
+    }
+
+    explainWith(path, view, vaultPass) {
+        let node = { id: path };
+        view?.renderer?.nodes.forEach(candidate => {
+            if (candidate.id === path) node = candidate;
+        });
+        if (this.settings?.paused) {
+            // Every node keeps its native size, as in getNodeSize()
+            const file = this.app.vault.getFileByPath(path);
+            return {
+                node, file, path, kind: getNodeKind(node, file), source: 'native', paused: true,
+                value: null, size: null, reason: null, frontmatter: null, unnormalized: false, focusDistance: null
+            };
+        }
+        let scope = this.getGlobalScope();
+        if (!view?.renderer && vaultPass) this.getVaultSizes();
+        let normalization = this.vaultNormalization || this.lastNormalization;
+        if (view?.renderer) {
+            scope = this.getViewScope(view);
+            normalization = this.viewNormalizations.get(view);
+            if (!normalization) {
+                // Not sized yet: scale against the view's nodes once
+                const nodes = [];
+                view.renderer.nodes.forEach(candidate => nodes.push(candidate));
+                normalization = {};
+                this.computeSizes(nodes, scope, normalization);
+                this.viewNormalizations.set(view, normalization);
+            }
+        }
+        const unnormalized = !normalization;
+        const [entry] = this.computeSizes([node], scope, normalization || {});
+        const explanation = {
+            ...entry, path, unnormalized,
+            maxDepth: scope.maxDepth || this.settings?.maxDepth || 3,
+            focusDistance: scope.distances?.get(path) ?? null
+        };
+        if (entry.kind === 'note' && entry.file) {
+            const trace = { depth: 0 };
+            explanation.reach = this.calculateTotalConnectedNodes(path, new Set(), scope, trace);
+            explanation.depthReached = trace.depth;
+        }
+        return explanation;
+    }
+
+    // Frontmatter key holding a note's size override
+    getOverrideKey() {
+        return this.settings?.overrideKey || 'node_size';
+    }
+
+    // Invalid frontmatter overrides across the vault: [{ path, message }]
+    getOverrideProblems() {
+        const problems = [];
+        for (const file of this.app.vault.getMarkdownFiles()) {
+            const frontmatter = this.app.metadataCache.getFileCache(file)?.frontmatter;
+            for (const message of parseSizeOverride(frontmatter, this.getOverrideKey()).problems) {
+                problems.push({ path: file.path, message });
+            }
+        }
+        return problems;
+    }
+
+    // Word count of a note. Contents are read asynchronously; until the read
+    // finishes the last known count (or 0) is used and a refresh follows.
+    getWordCount(path) {
+        const file = this.app.vault.getFileByPath(path);
+        if (!file || file.extension !== 'md') return 0;
+        const cached = this.wordCounts.get(path);
+        if (cached && cached.mtime === file.stat.mtime) return cached.words;
+        if (!this.pendingWordCounts.has(path)) {
+            this.pendingWordCounts.add(path);
+            this.app.vault.cachedRead(file).then((content) => {
+                // Renamed or deleted while reading: the count belongs to no path
+                if (this.app.vault.getFileByPath(path) !== file) return;
+                const body = content.replace(/^---\r?\n[\s\S]*?\r?\n---(\r?\n|$)/, '');
+                this.wordCounts.set(path, { mtime: file.stat.mtime, words: (body.match(/\S+/g) || []).length });
+                // A read finishing after unload must not size the views again
+                if (!this.unloaded) this.scheduleRefresh();
+            }).catch(() => {
+                // Leave the count unknown; the next refresh retries
+            }).finally(() => {
+                this.pendingWordCounts.delete(path);
+            });
+        }
+        return cached ? cached.words : 0;
+    }
+
+    // Metric of a tag, unresolved or attachment node, or null when that kind
+    // is not sized (or the attachment is excluded)
+    getOtherNodeValue(kind, node, file) {
+        if (!this.settings?.[NODE_KINDS[kind].enabledKey]) return null;
+        const counts = this.getOtherNodeCounts(kind);
+        if (kind === 'tag') {
+            return counts.get(getTagNodeName(node).toLowerCase()) || 0;
+        }
+        if (kind === 'attachment') {
+            if (this.isExcluded(file, 'sizing')) return null;
+            return counts.get(file.path) || 0;
+        }
+        return counts.get(node.id) || 0;
+    }
+
+    // Usage counts per node kind, cached until the vault's links change:
+    // tag -> notes using it, unresolved link -> notes referencing it,
+    // attachment path -> notes embedding it
+    getOtherNodeCounts(kind) {
+        // Not synced with the settings: usage counts do not depend on them,
+        // and a view's own settings must not reset the global cache
+        const cache = this.reachCache;
+        let counts = cache.otherNodeCounts.get(kind);
+        if (counts) return counts;
+        this.recordLinkSignatures();
+        counts = new Map();
+        const increment = (key) => counts.set(key, (counts.get(key) || 0) + 1);
+        if (kind === 'tag') {
+            for (const file of this.app.vault.getMarkdownFiles()) {
+                const tags = new Set(getCacheTags(this.app.metadataCache.getFileCache(file)).map(tag => tag.toLowerCase()));
+                tags.forEach(increment);
+            }
+        } else if (kind === 'unresolved') {
+            const unresolvedLinks = this.app.metadataCache.unresolvedLinks || {};
+            for (const source in unresolvedLinks) {
+                Object.keys(unresolvedLinks[source]).forEach(increment);
+            }
+        } else if (kind === 'attachment') {
+            for (const file of this.app.vault.getMarkdownFiles()) {
+                const embedded = new Set();
+                for (const embed of this.app.metadataCache.getFileCache(file)?.embeds || []) {
+                    const target = this.app.metadataCache.getFirstLinkpathDest(embed.link.split('#')[0], file.path);
+                    if (target) embedded.add(target.path);
+                }
+                embedded.forEach(increment);
+            }
+        }
+        cache.otherNodeCounts.set(kind, counts);
+        return counts;
+    }
+
+    // Set node colors from node_color overrides and, in heatmap mode, from
+    // where the metric value lies among the view's values of the same node
+    // kind, on the scaling mode's curve (linear in classic mode)
+    applyNodeColors(sizedNodes) {
+        const colorByMetric = !!this.settings?.colorByMetric;
+        const stops = getGradientStops(this.settings);
+        const positions = new Map();
+        if (colorByMetric) {
+            const mode = this.settings?.scalingMode === 'classic' ? 'linear' : this.settings?.scalingMode;
+            for (const kind of new Set(sizedNodes.map(sized => sized.kind))) {
+                const values = sizedNodes.filter(sized => sized.kind === kind && sized.value !== null).map(sized => sized.value);
+                positions.set(kind, createPositionScale(values, mode, this.settings?.scalingExponent || 0.5));
+            }
+        }
+        for (const { node, native, frontmatter, kind, value } of sizedNodes) {
+            let rgb = parseHexColor(frontmatter?.node_color);
+            if (rgb === null && colorByMetric && value !== null) {
+                rgb = interpolateGradient(stops, positions.get(kind)(value));
+            }
+            node.color = rgb !== null ? { a: 1, rgb } : native.color;
+        }
+    }
+
+    async loadSettings() {
+        // Upgrade settings saved by older versions, then fill in defaults and
+        // replace invalid values, see SETTINGS_SCHEMA
+        this.settings = sanitizeSettings(migrateSettings(await this.loadData()));
+        // Compiled exclusion, include-list and rule patterns, see getMatcher()
+        this.matchers = new Map();
+    }
+
+    async saveSettings() {
+        this.matchers.clear();
+        // Scaled with the old settings; the next graph pass replaces it
+        this.lastNormalization = null;
+        await this.saveData(this.settings);
+    }
+}
+
+class DynamicNodeSizeSettingTab extends PluginSettingTab {
+    constructor(app, plugin) {
+        super(app, plugin);
+        this.plugin = plugin;
+    }
+
+    // Picker list of { value, scope } entries with reordering and delete
+    // buttons, plus a scope selector for exclusions
+    displayPickerList(containerEl, { key, name, desc, buttonText, placeholder, suggest, match, showScope = true }) {
+        new Setting(containerEl)
+            .setName(name)
+            .setDesc(desc)
+            .addButton(btn => {
+                btn.setButtonText(buttonText);
+                btn.onClick(() => {
+                    if (!this.plugin.settings[key]) {
+                        this.plugin.settings[key] = [];
+                    }
+                    this.plugin.settings[key].push({ value: '', scope: 'both' });
+                    this.plugin.saveSettings().then(() => this.display());
+                    refreshAllGraphViews(this.plugin);
+                });
+            });
+        const entries = this.plugin.settings[key] || [];
+        entries.forEach((entry, idx) => {
+            // Live preview of how many notes the entry matches
+            let countEl;
+            const updateCount = () => countEl?.setText(describeMatchCount(this.plugin.countMatchingNotes(match, entry.value)));
+            const s = new Setting(containerEl)
+                .addSearch((cb) => {
+                    new suggest(this.app, cb.inputEl);
+                    cb.setPlaceholder(placeholder)
+                      .setValue(entry.value)
+                      .onChange(async (newValue) => {
+                          entry.value = newValue.trim();
+                          await this.plugin.saveSettings();
+                          updateCount();
+                          refreshAllGraphViews(this.plugin);
+                      });
+                });
+            if (showScope) {
+                s.addDropdown(dropdown => {
+                    for (const [id, label] of Object.entries(EXCLUSION_SCOPES)) {
+                        dropdown.addOption(id, label);
+                    }
+                    dropdown
+                        .setValue(entry.scope || 'both')
+                        .onChange(async (value) => {
+                            entry.scope = value;
+                            await this.plugin.saveSettings();
+                            refreshAllGraphViews(this.plugin);
+                        });
+                });
+            }
+            this.addReorderButtons(s, entries, idx)
+                .addExtraButton((cb) => {
+                    cb.setIcon('cross')
+                      .setTooltip('Delete')
+                      .onClick(async () => {
+                          entries.splice(idx, 1);
+                          await this.plugin.saveSettings();
+                          this.display();
+                          refreshAllGraphViews(this.plugin);
+                      });
+                });
+            s.infoEl.remove();
+            countEl = createSpan({ cls: 'setting-item-description' });
+            s.controlEl.prepend(countEl);
+            updateCount();
+        });
+    }
+
+    // Number setting from SETTINGS_SCHEMA with a slider and a text box
+    addNumberSetting(containerEl, key, { name, desc, onChange }) {
+        const spec = SETTINGS_SCHEMA[key];
+        const setting = new Setting(containerEl)
+            .setName(name)
+            .setDesc(`${desc} (default: ${spec.default})`);
+        return this.addNumberControl(setting, spec, this.plugin.settings[key], async (value) => {
+            this.plugin.settings[key] = value;
+            await this.plugin.saveSettings();
+            onChange?.();
+            refreshAllGraphViews(this.plugin);
+        });
+    }
+
+    // Slider plus text box for a number within `spec` (a SETTINGS_SCHEMA
+    // entry). The text box takes any decimal in range, the slider snaps to the
+    // step. Invalid text is flagged under the description instead of dropped.
+    addNumberControl(setting, spec, value, onValid) {
+        let slider;
+        let input;
+        // Set while one control updates the other, so it is not saved twice
+        let syncing = false;
+        const errorEl = setting.descEl.createDiv({ cls: 'mod-warning' });
+        const showError = (error) => {
+            errorEl.setText(error || '');
+            input.inputEl.setAttr('aria-invalid', error ? 'true' : 'false');
+            input.inputEl.style.borderColor = error ? 'var(--text-error)' : '';
+        };
+        setting
+            .addSlider(cb => {
+                slider = cb;
+                cb.setLimits(spec.min, spec.max, spec.step)
+                    .setValue(value)
+                    .setDynamicTooltip()
+                    .onChange(async (newValue) => {
+                        if (syncing) return;
+                        syncing = true;
+                        input.setValue(String(newValue));
+                        syncing = false;
+                        showError(null);
+                        await onValid(newValue);
+                    });
+            })
+            .addText(cb => {
+                input = cb;
+                cb.setPlaceholder(String(spec.default))
+                    .setValue(String(value))
+                    .onChange(async (text) => {
+                        if (syncing) return;
+                        const result = validateNumber(spec, text);
+                        showError(result.error);
+                        if (result.error) return;
+                        syncing = true;
+                        slider.setValue(result.value);
+                        syncing = false;
+                        await onValid(result.value);
+                    });
+                cb.inputEl.setAttr('inputmode', 'decimal');
+                cb.inputEl.style.width = '5em';
+            });
+        return setting;
+    }
+
+    // Textarea of title patterns, one per line, with invalid regexes flagged
+    // and a live count of matching notes per line
+    displayTitlePatterns(containerEl, { key, name, desc, exclusion }) {
+        let previewEl;
+        const updatePreview = () => {
+            previewEl.empty();
+            for (const line of this.plugin.settings[key] || []) {
+                const matcher = exclusion
+                    ? this.plugin.getMatcher('titleExclusion', line)
+                    : { value: line, ...this.plugin.getMatcher('title', line) };
+                if (matcher.error) {
+                    previewEl.createEl('div', { text: `${matcher.value}: invalid regex (${matcher.error})`, cls: 'mod-warning' });
+                } else {
+                    previewEl.createEl('div', { text: `${matcher.value}: ${describeMatchCount(this.plugin.countMatchingNotes('title', matcher.value))}` });
+                }
+            }
+        };
+        new Setting(containerEl)
+            .setName(name)
+            .setDesc(desc)
+            .addTextArea(text => text
+                .setValue((this.plugin.settings?.[key] || []).join('\n'))
+                .onChange(async (value) => {
+                    this.plugin.settings[key] = value.split('\n').map(s => s.trim()).filter(Boolean);
+                    await this.plugin.saveSettings();
+                    updatePreview();
+                    refreshAllGraphViews(this.plugin);
+                })
+                .inputEl.setAttr('rows', 2)
+            );
+        previewEl = containerEl.createEl('div', { cls: 'setting-item-description' });
+        updatePreview();
+    }
+
+    // Move up / move down buttons for an entry of a reorderable list
+    addReorderButtons(setting, list, idx) {
+        setting
+            .addExtraButton((cb) => {
+                cb.setIcon('up-chevron-glyph')
+                  .setTooltip('Move up')
+                  .onClick(async () => {
+                      if (idx > 0) {
+                          const temp = list[idx];
+                          list[idx] = list[idx - 1];
+                          list[idx - 1] = temp;
+                          await this.plugin.saveSettings();
+                          this.display();
+                          refreshAllGraphViews(this.plugin);
+                      }
+                  });
+            })
+            .addExtraButton((cb) => {
+                cb.setIcon('down-chevron-glyph')
+                  .setTooltip('Move down')
+                  .onClick(async () => {
+                      if (idx < list.length - 1) {
+                          const temp = list[idx];
+                          list[idx] = list[idx + 1];
+                          list[idx + 1] = temp;
+                          await this.plugin.saveSettings();
+                          this.display();
+                          refreshAllGraphViews(this.plugin);
+                      }
+                  });
+            });
+        return setting;
+    }
+
+    // Sizing rules section: ordered match -> action list, first match wins
+    displaySizingRules(containerEl) {
+        containerEl.createEl('h3', { text: 'Sizing Rules' });
+
+        new Setting(containerEl)
+            .setName('Rules')
+            .setDesc('The first rule matching a note decides its size. Folder patterns accept a prefix or a glob ("Projects/**"), titles accept /regex/, properties use key=value (or just key). A node_size in frontmatter still takes precedence.')
+            .addButton(btn => {
+                btn.setButtonText('+ Add Rule');
+                btn.onClick(async () => {
+                    this.plugin.settings.sizingRules.push({ match: 'folder', pattern: '', action: 'fixed', value: 10 });
+                    await this.plugin.saveSettings();
+                    this.display();
+                });
+            });
+
+        const rules = this.plugin.settings.sizingRules;
+        rules.forEach((rule, idx) => {
+            let patternEl;
+            let previewEl;
+            // Invalid title regexes are flagged like in the exclusions; other
+            // patterns show how many notes they match
+            const updatePreview = () => {
+                previewEl.empty();
+                const matcher = rule.match === 'title' ? this.plugin.getMatcher('title', rule.pattern) : null;
+                patternEl.setAttr('aria-invalid', matcher?.error ? 'true' : 'false');
+                if (matcher?.error) {
+                    previewEl.createEl('div', { text: `Invalid regex (${matcher.error})`, cls: 'mod-warning' });
+                } else if (rule.pattern && rule.match !== 'property') {
+                    previewEl.setText(describeMatchCount(this.plugin.countMatchingNotes(rule.match, rule.pattern)));
+                }
+            };
+            const s = new Setting(containerEl)
+                .addDropdown(dropdown => {
+                    for (const [id, label] of Object.entries(RULE_MATCH_TYPES)) {
+                        dropdown.addOption(id, label);
+                    }
+                    dropdown
+                        .setValue(rule.match)
+                        .onChange(async (value) => {
+                            rule.match = value;
+                            await this.plugin.saveSettings();
+                            this.display(); // Switch the pattern picker
+                            refreshAllGraphViews(this.plugin);
+                        });
+                })
+                .addSearch((cb) => {
+                    patternEl = cb.inputEl;
+                    if (rule.match === 'folder') new FolderSuggest(this.app, cb.inputEl);
+                    if (rule.match === 'tag') new TagSuggest(this.app, cb.inputEl);
+                    cb.setPlaceholder(rule.match === 'property' ? 'key=value' : RULE_MATCH_TYPES[rule.match])
+                      .setValue(rule.pattern)
+                      .onChange(async (newPattern) => {
+                          rule.pattern = newPattern.trim();
+                          await this.plugin.saveSettings();
+                          updatePreview();
+                          refreshAllGraphViews(this.plugin);
+                      });
+                })
+                .addDropdown(dropdown => {
+                    for (const [id, label] of Object.entries(RULE_ACTIONS)) {
+                        dropdown.addOption(id, label);
+                    }
+                    dropdown
+                        .setValue(rule.action)
+                        .onChange(async (value) => {
+                            rule.action = value;
+                            await this.plugin.saveSettings();
+                            this.display(); // Show or hide the value field
+                            refreshAllGraphViews(this.plugin);
+                        });
+                });
+            if (rule.action !== 'exclude') {
+                s.addText(text => text
+                    .setPlaceholder('Value')
+                    .setValue(rule.value?.toString() || '')
+                    .onChange(async (value) => {
+                        const numValue = parseFloat(value);
+                        if (!isNaN(numValue) && numValue > 0) {
+                            rule.value = numValue;
+                            await this.plugin.saveSettings();
+                            refreshAllGraphViews(this.plugin);
+                        }
+                    }));
+            }
+            this.addReorderButtons(s, rules, idx)
+                .addExtraButton((cb) => {
+                    cb.setIcon('cross')
+                      .setTooltip('Delete')
+                      .onClick(async () => {
+                          rules.splice(idx, 1);
+                          await this.plugin.saveSettings();
+                          this.display();
+                          refreshAllGraphViews(this.plugin);
+                      });
+                });
+            s.infoEl.remove();
+            previewEl = containerEl.createEl('div', { cls: 'setting-item-description' });
+            updatePreview();
+        });
+    }
+
+    // Presets section: switch, create, rename, duplicate and delete presets
+    displayPresets(containerEl) {
+        containerEl.createEl('h3', { text: 'Presets' });
+
+        new Setting(containerEl)
+            .setName('Active Preset')
+            .setDesc('Applying a preset overwrites the node size controls below. Default restores the default values.')
+            .addDropdown(dropdown => {
+                for (const preset of this.plugin.getPresets()) {
+                    dropdown.addOption(preset.name, preset.name);
+                }
+                dropdown
+                    .setValue(this.plugin.settings.activePreset || 'Default')
+                    .onChange(async (value) => {
+                        await this.plugin.applyPreset(value);
+                        this.display();
+                    });
+            })
+            .addButton(btn => btn
+                .setButtonText('+ Save Current as Preset')
+                .onClick(async () => {
+                    const name = this.plugin.getUniquePresetName('New preset');
+                    this.plugin.settings.presets.push({ name, values: this.plugin.capturePresetValues() });
+                    this.plugin.settings.activePreset = name;
+                    await this.plugin.saveSettings();
+                    this.display();
+                }));
+
+        this.plugin.getPresets().forEach((preset) => {
+            const s = new Setting(containerEl);
+            if (preset.builtIn) {
+                s.setName(preset.name).setDesc('Built-in preset');
+            } else {
+                s.addText(text => text
+                    .setValue(preset.name)
+                    .onChange(async (newName) => {
+                        newName = newName.trim();
+                        // Keep names unique so presets can be looked up by name
+                        if (!newName || this.plugin.getPresets().some(p => p !== preset && p.name === newName)) return;
+                        if (this.plugin.settings.activePreset === preset.name) {
+                            this.plugin.settings.activePreset = newName;
+                        }
+                        // Graph views pinned to the preset follow the rename
+                        const pinned = [...this.plugin.viewConfigs.values(), ...Object.values(this.plugin.settings.leafViewConfigs)];
+                        for (const config of pinned) {
+                            if (config.preset === preset.name) config.preset = newName;
+                        }
+                        this.app.workspace.requestSaveLayout?.();
+                        preset.name = newName;
+                        await this.plugin.saveSettings();
+                    }));
+                s.addExtraButton((cb) => {
+                    cb.setIcon('save')
+                      .setTooltip('Update from current settings')
+                      .onClick(async () => {
+                          preset.values = this.plugin.capturePresetValues();
+                          await this.plugin.saveSettings();
+                          refreshAllGraphViews(this.plugin); // Views pinned to it
+                          new Notice(`Updated preset "${preset.name}"`);
+                      });
+                });
+            }
+            s.addExtraButton((cb) => {
+                cb.setIcon('checkmark')
+                  .setTooltip('Apply')
+                  .onClick(async () => {
+                      await this.plugin.applyPreset(preset.name);
+                      this.display();
+                  });
+            });
+            s.addExtraButton((cb) => {
+                cb.setIcon('copy')
+                  .setTooltip('Duplicate')
+                  .onClick(async () => {
+                      this.plugin.settings.presets.push({
+                          name: this.plugin.getUniquePresetName(`${preset.name} copy`),
+                          values: clonePresetValues(preset.values)
+                      });
+                      await this.plugin.saveSettings();
+                      this.display();
+                  });
+            });
+            if (!preset.builtIn) {
+                s.addExtraButton((cb) => {
+                    cb.setIcon('cross')
+                      .setTooltip('Delete')
+                      .onClick(async () => {
+                          const presets = this.plugin.settings.presets;
+                          presets.splice(presets.indexOf(preset), 1);
+                          await this.plugin.saveSettings();
+                          this.display();
+                          refreshAllGraphViews(this.plugin); // Views pinned to it use the global settings again
+                      });
+                });
+            }
+        });
+    }
+
+    display() {
+        const { containerEl } = this;
+        containerEl.empty();
+
+        // Node Size Controls section
+        containerEl.createEl('h2', { text: 'Dynamic Node Size Settings' });
+
+        new Setting(containerEl)
+            .setName('Pause Dynamic Sizing')
+            .setDesc('Temporarily restore every graph to its native node sizes and colors.')
+            .addToggle(toggle => toggle
+                .setValue(!!this.plugin.settings?.paused)
+                .onChange(async (value) => {
+                    this.plugin.settings.paused = value;
+                    await this.plugin.saveSettings();
+                    refreshAllGraphViews(this.plugin);
+                }));
+
+        new Setting(containerEl)
+            .setName('Show Size Explanations')
+            .setDesc('Explain how a node got its size when hovering it in the graph, and for the active note in the status bar.')
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings?.showExplanations !== false)
+                .onChange(async (value) => {
+                    this.plugin.settings.showExplanations = value;
+                    await this.plugin.saveSettings();
+                    this.plugin.updateStatusBar();
+                }));
+
+        this.displayPresets(containerEl);
+
+        containerEl.createEl('h3', { text: 'Node Size Controls' });
+
+        this.addNumberSetting(containerEl, 'sizeMultiplier', {
+            name: 'Size Multiplier',
+            desc: 'Multiplier for calculating node size based on connected nodes. Higher values make nodes larger.',
+            onChange: () => this.updateScalingPreview()
+        });
+
+        this.addNumberSetting(containerEl, 'multiplierScale', {
+            name: 'Multiplier Scale',
+            desc: 'Additional scale factor applied to the calculated node size for fine-tuning.',
+            onChange: () => this.updateScalingPreview()
+        });
+
+        this.addNumberSetting(containerEl, 'maxSize', {
+            name: 'Maximum Node Size',
+            desc: 'Maximum size a node can reach to prevent extremely large nodes.',
+            onChange: () => this.updateScalingPreview()
+        });
+
+        this.addNumberSetting(containerEl, 'minSize', {
+            name: 'Minimum Node Size',
+            desc: 'Smallest size a dynamically sized node can have.',
+            onChange: () => this.updateScalingPreview()
+        });
+
+        new Setting(containerEl)
+            .setName('Scaling Mode')
+            .setDesc('How metric values map to sizes. Classic uses value × multiplier × scale. The other modes spread the current values over the minimum–maximum size range and ignore the multipliers. (default: classic)')
+            .addDropdown(dropdown => dropdown
+                .addOptions(SETTINGS_SCHEMA.scalingMode.options)
+                .setValue(this.plugin.settings?.scalingMode || 'classic')
+                .onChange(async (value) => {
+                    this.plugin.settings.scalingMode = value;
+                    await this.plugin.saveSettings();
+                    this.updateScalingPreview();
+                    refreshAllGraphViews(this.plugin);
+                }));
+
+        this.addNumberSetting(containerEl, 'scalingExponent', {
+            name: 'Scaling Exponent',
+            desc: 'Exponent used by the power scaling mode. Values below 1 compress large hubs, values above 1 exaggerate them.',
+            onChange: () => this.updateScalingPreview()
+        });
+
+        // Scaling preview: curve plus resulting sizes for sample values
+        const previewEl = containerEl.createDiv({ cls: 'dynamic-node-size-preview' });
+        this.updateScalingPreview = () => renderScalingPreview(previewEl, this.plugin.settings);
+        this.updateScalingPreview();
+
+        this.addNumberSetting(containerEl, 'maxDepth', {
+            name: 'Maximum Depth',
+            desc: 'Maximum depth to traverse when calculating connected nodes. Lower values improve performance and focus on direct connections.'
+        });
+
+        new Setting(containerEl)
+            .setName('Sizing Metric')
+            .setDesc('What node size is based on. Graph-wide metrics (PageRank, betweenness, k-core) are recomputed whenever links change; betweenness can be slow on large vaults. (default: connected nodes)')
+            .addDropdown(dropdown => {
+                for (const metric of METRICS.values()) {
+                    dropdown.addOption(metric.id, metric.name);
+                }
+                dropdown
+                    .setValue(this.plugin.settings?.sizeMetric || 'reach')
+                    .onChange(async (value) => {
+                        this.plugin.settings.sizeMetric = value;
+                        await this.plugin.saveSettings();
+                        refreshAllGraphViews(this.plugin);
+                    });
+            });
+
+        new Setting(containerEl)
+            .setName('Size Property')
+            .setDesc('Numeric frontmatter key used by the frontmatter property metric, e.g. priority or rating.')
+            .addText(text => text
+                .setPlaceholder('priority')
+                .setValue(this.plugin.settings?.sizeProperty || '')
+                .onChange(async (value) => {
+                    this.plugin.settings.sizeProperty = value.trim();
+                    await this.plugin.saveSettings();
+                    refreshAllGraphViews(this.plugin);
+                }));
+
+        new Setting(containerEl)
+            .setName('Blend Metrics')
+            .setDesc('Instead of a single metric, combine several into a 0–100 score. Each metric is divided by its largest value in the graph and weighted below. Works best with a normalized scaling mode.')
+            .addToggle(toggle => toggle
+                .setValue(!!this.plugin.settings?.blendEnabled)
+                .onChange(async (value) => {
+                    this.plugin.settings.blendEnabled = value;
+                    await this.plugin.saveSettings();
+                    this.display(); // Show or hide the weights
+                    refreshAllGraphViews(this.plugin);
+                }));
+
+        if (this.plugin.settings?.blendEnabled) {
+            for (const metric of METRICS.values()) {
+                const setting = new Setting(containerEl)
+                    .setName(`Weight: ${metric.name}`)
+                    .setClass('dynamic-node-size-blend-weight');
+                this.addNumberControl(setting, BLEND_WEIGHT_SPEC, this.plugin.settings.blendWeights?.[metric.id] || 0, async (value) => {
+                    this.plugin.settings.blendWeights = { ...this.plugin.settings.blendWeights, [metric.id]: value };
+                    await this.plugin.saveSettings();
+                    refreshAllGraphViews(this.plugin);
+                });
+            }
+        }
+
+        new Setting(containerEl)
+            .setName('Link Direction')
+            .setDesc('Which links to follow when counting connected nodes: outgoing links, backlinks (notes linking to this one), or both. (default: outgoing)')
+            .addDropdown(dropdown => dropdown
+                .addOptions(SETTINGS_SCHEMA.linkDirection.options)
+                .setValue(this.plugin.settings?.linkDirection || 'outgoing')
+                .onChange(async (value) => {
+                    this.plugin.settings.linkDirection = value;
+                    await this.plugin.saveSettings();
+                    refreshAllGraphViews(this.plugin);
+                }));
+
+        new Setting(containerEl)
+            .setName('Edge Weighting')
+            .setDesc('How much each reached note counts, based on how many times it is linked. Count uses the number of links up to the cap below; logarithmic grows slowly with repeated links. (default: none)')
+            .addDropdown(dropdown => dropdown
+                .addOptions(SETTINGS_SCHEMA.edgeWeighting.options)
+                .setValue(this.plugin.settings?.edgeWeighting || 'none')
+                .onChange(async (value) => {
+                    this.plugin.settings.edgeWeighting = value;
+                    await this.plugin.saveSettings();
+                    refreshAllGraphViews(this.plugin);
+                }));
+
+        this.addNumberSetting(containerEl, 'edgeWeightCap', {
+            name: 'Edge Weight Cap',
+            desc: 'Maximum weight of a single edge when weighting by link count.'
+        });
+
+        this.addNumberSetting(containerEl, 'depthDecay', {
+            name: 'Depth Decay',
+            desc: 'Factor applied per hop when counting connected nodes, so grandchildren count less than direct links. 1 disables decay, 0.5 halves the weight at every level.'
+        });
+
+        new Setting(containerEl)
+            .setName('Local Graph Sizing')
+            .setDesc('Whole vault sizes local graph nodes the same as in the global graph. Local neighborhood only counts the notes within the local graph depth of its focused note, and caps the traversal depth at that depth. (default: whole vault)')
+            .addDropdown(dropdown => dropdown
+                .addOptions(SETTINGS_SCHEMA.localGraphMode.options)
+                .setValue(this.plugin.settings?.localGraphMode || 'vault')
+                .onChange(async (value) => {
+                    this.plugin.settings.localGraphMode = value;
+                    await this.plugin.saveSettings();
+                    refreshAllGraphViews(this.plugin);
+                }));
+
+        new Setting(containerEl)
+            .setName('Size by Visible Nodes')
+            .setDesc('Only count the notes a graph view currently shows, so search filters, hidden orphans and hidden attachments also shrink the sizes of the notes linked to them. Connections to hidden notes are ignored. (default: off)')
+            .addToggle(toggle => toggle
+                .setValue(!!this.plugin.settings?.visibleNodesOnly)
+                .onChange(async (value) => {
+                    this.plugin.settings.visibleNodesOnly = value;
+                    await this.plugin.saveSettings();
+                    refreshAllGraphViews(this.plugin);
+                }));
+
+        // Other node kinds section
+        containerEl.createEl('h3', { text: 'Tag, Unresolved and Attachment Nodes' });
+
+        for (const kind of Object.values(NODE_KINDS)) {
+            const setting = new Setting(containerEl)
+                .setName(kind.name)
+                .setDesc(`Size by the ${kind.metric}, scaled with the multiplier on the right. (default: off, multiplier 1)`)
+                .addToggle(toggle => toggle
+                    .setValue(!!this.plugin.settings?.[kind.enabledKey])
+                    .onChange(async (value) => {
+                        this.plugin.settings[kind.enabledKey] = value;
+                        await this.plugin.saveSettings();
+                        refreshAllGraphViews(this.plugin);
+                    }));
+            this.addNumberControl(setting, SETTINGS_SCHEMA[kind.multiplierKey], this.plugin.settings[kind.multiplierKey], async (value) => {
+                this.plugin.settings[kind.multiplierKey] = value;
+                await this.plugin.saveSettings();
+                refreshAllGraphViews(this.plugin);
+            });
+        }
+
+        // Heatmap section
+        containerEl.createEl('h3', { text: 'Heatmap Colors' });
+
+        new Setting(containerEl)
+            .setName('Color by Metric')
+            .setDesc('Also color nodes along a gradient by their metric value, relative to the other nodes in the view. Notes with a node_size override or a fixed-size rule are colored by their metric too. A node_color value in frontmatter (e.g. "#ff8800") always overrides the color.')
+            .addToggle(toggle => toggle
+                .setValue(!!this.plugin.settings?.colorByMetric)
+                .onChange(async (value) => {
+                    this.plugin.settings.colorByMetric = value;
+                    await this.plugin.saveSettings();
+                    refreshAllGraphViews(this.plugin);
+                }));
+
+        new Setting(containerEl)
+            .setName('Palette')
+            .setDesc('A preset gradient, or custom to use the colors below.')
+            .addDropdown(dropdown => {
+                dropdown.addOption('custom', 'Custom');
+                for (const [id, palette] of Object.entries(COLOR_PALETTES)) {
+                    dropdown.addOption(id, palette.name);
+                }
+                dropdown
+                    .setValue(this.plugin.settings?.colorPalette || 'custom')
+                    .onChange(async (value) => {
+                        this.plugin.settings.colorPalette = value;
+                        await this.plugin.saveSettings();
+                        refreshAllGraphViews(this.plugin);
+                    });
+            });
+
+        new Setting(containerEl)
+            .setName('Custom Gradient')
+            .setDesc('Colors for the smallest and largest nodes, with an optional middle stop.')
+            .addColorPicker(picker => picker
+                .setValue(this.plugin.settings?.colorStart || '#4575b4')
+                .onChange(async (value) => {
+                    this.plugin.settings.colorStart = value;
+                    await this.plugin.saveSettings();
+                    refreshAllGraphViews(this.plugin);
+                }))
+            .addToggle(toggle => toggle
+                .setTooltip('Use middle color')
+                .setValue(!!this.plugin.settings?.useColorMid)
+                .onChange(async (value) => {
+                    this.plugin.settings.useColorMid = value;
+                    await this.plugin.saveSettings();
+                    refreshAllGraphViews(this.plugin);
+                }))
+            .addColorPicker(picker => picker
+                .setValue(this.plugin.settings?.colorMid || '#ffffbf')
+                .onChange(async (value) => {
+                    this.plugin.settings.colorMid = value;
+                    await this.plugin.saveSettings();
+                    refreshAllGraphViews(this.plugin);
+                }))
+            .addColorPicker(picker => picker
+                .setValue(this.plugin.settings?.colorEnd || '#d73027')
+                .onChange(async (value) => {
+                    this.plugin.settings.colorEnd = value;
+                    await this.plugin.saveSettings();
+                    refreshAllGraphViews(this.plugin);
+                }));
 
-        // Register the layout change event
-        this.registerEvent(
-            this.app.workspace.on("layout-change", () => {
-                // Get all graph leaves
-                const graphLeaves = this.app.workspace.getLeavesOfType("graph");
-                for (const leaf of graphLeaves) {
-                    const view = leaf.view;
-                    if (!view) continue;
-                    // Avoid stacking intervals
-                    if (this.graphIntervals.has(view)) continue;
-                    const interval = setInterval(() => {
-                        if (view && view.renderer) {
-                            this.updateNodeSizes(view);
-                        }
-                    }, 1000);
-                    this.graphIntervals.set(view, interval);
-                }
-                // Clean up intervals for closed views
-                for (const [view, interval] of this.graphIntervals.entries()) {
-                    if (!graphLeaves.some(l => l.view === view)) {
-                        clearInterval(interval);
-                        this.graphIntervals.delete(view);
-                    }
-                }
-            })
-        );
-    }
+        this.displaySizingRules(containerEl);
 
-    onunload() {
-        // Clean up all intervals
-        for (const interval of this.graphIntervals.values()) {
-            clearInterval(interval);
+        // Exclusions section
+        containerEl.createEl('h3', { text: 'Exclusions' });
+        containerEl.createEl('div', {
+            text: 'Each exclusion has a scope. Sizing only keeps the note at its native size but still lets it connect other notes. Traversal only hides it from counting but still sizes it. Both does both.',
+            cls: 'setting-item-description'
+        });
+
+        // Exclude Folders (better layout)
+        this.displayPickerList(containerEl, {
+            key: 'excludeFolders',
+            name: 'Exclude Folders',
+            desc: 'Add folders to exclude from dynamic sizing. Globs match the whole path: * within a folder, ** across folders (e.g. Projects/**/Archive/**).',
+            buttonText: '+ Add Folder',
+            placeholder: 'Folder',
+            suggest: FolderSuggest,
+            match: 'folder'
+        });
+
+        // Exclude Page Titles (text area)
+        this.displayTitlePatterns(containerEl, {
+            key: 'excludeTitles',
+            name: 'Exclude Page Titles',
+            desc: 'One page title or /regex/ per line, with optional flags such as /draft/i. Matching nodes will be excluded. Prefix a line with [sizing] or [traversal] to limit its scope.',
+            exclusion: true
+        });
+
+        // Exclude Tags (better layout)
+        this.displayPickerList(containerEl, {
+            key: 'excludeTags',
+            name: 'Exclude Tags',
+            desc: 'Add tags to exclude from dynamic sizing. Inline and frontmatter tags are matched case-insensitively; * matches any characters (e.g. project/*).',
+            buttonText: '+ Add Tag',
+            placeholder: 'Tag',
+            suggest: TagSuggest,
+            match: 'tag'
+        });
+
+        new Setting(containerEl)
+            .setName('Match Nested Tags')
+            .setDesc('Excluding a tag also excludes its nested tags, e.g. "project" also matches "project/alpha". Applies to sizing rules too. (default: on)')
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings?.matchNestedTags !== false)
+                .onChange(async (value) => {
+                    this.plugin.settings.matchNestedTags = value;
+                    await this.plugin.saveSettings();
+                    refreshAllGraphViews(this.plugin);
+                }));
+
+        // Include-list section
+        containerEl.createEl('h3', { text: 'Include Only' });
+        containerEl.createEl('div', {
+            text: 'When any entry is set, only matching notes are sized; everything else keeps its native size. Exclusions win over the include-list, which wins over sizing rules and node_size.',
+            cls: 'setting-item-description'
+        });
+
+        this.displayPickerList(containerEl, {
+            key: 'includeFolders',
+            name: 'Include Folders',
+            desc: 'Only size notes in these folders (folder paths or globs).',
+            buttonText: '+ Add Folder',
+            placeholder: 'Folder',
+            suggest: FolderSuggest,
+            match: 'folder',
+            showScope: false
+        });
+
+        this.displayTitlePatterns(containerEl, {
+            key: 'includeTitles',
+            name: 'Include Page Titles',
+            desc: 'One page title or /regex/ per line, with optional flags. Only matching notes will be sized.',
+            exclusion: false
+        });
+
+        this.displayPickerList(containerEl, {
+            key: 'includeTags',
+            name: 'Include Tags',
+            desc: 'Only size notes with these tags (same matching as tag exclusions).',
+            buttonText: '+ Add Tag',
+            placeholder: 'Tag',
+            suggest: TagSuggest,
+            match: 'tag',
+            showScope: false
+        });
+
+        new Setting(containerEl)
+            .setName('Restrict Traversal to Included Notes')
+            .setDesc('Only count connections between included notes, so sizes reflect the curated subgraph. (default: off)')
+            .addToggle(toggle => toggle
+                .setValue(!!this.plugin.settings?.restrictTraversalToIncluded)
+                .onChange(async (value) => {
+                    this.plugin.settings.restrictTraversalToIncluded = value;
+                    await this.plugin.saveSettings();
+                    refreshAllGraphViews(this.plugin);
+                }));
+
+        containerEl.createEl('h3', { text: 'Frontmatter Overrides' });
+
+        new Setting(containerEl)
+            .setName('Override Key')
+            .setDesc('Frontmatter key for a note\'s size: a number, or "auto" to ignore fixed-size rules. The same key with _multiplier, _min and _max adjusts the computed size. (default: node_size)')
+            .addText(text => text
+                .setPlaceholder('node_size')
+                .setValue(this.plugin.settings?.overrideKey || 'node_size')
+                .onChange(async (value) => {
+                    const key = value.trim();
+                    if (!key) return;
+                    this.plugin.settings.overrideKey = key;
+                    await this.plugin.saveSettings();
+                    refreshAllGraphViews(this.plugin);
+                }));
+
+        const problems = this.plugin.getOverrideProblems();
+        new Setting(containerEl)
+            .setName('Problems')
+            .setDesc(problems.length === 0
+                ? 'No invalid overrides found.'
+                : `${problems.length} invalid override${problems.length === 1 ? '' : 's'} ignored. Click a note to open it.`)
+            .addButton(btn => btn
+                .setButtonText('Check Again')
+                .onClick(() => this.display()));
+        for (const { path, message } of problems) {
+            new Setting(containerEl)
+                .setName(path)
+                .setDesc(message)
+                .addExtraButton(btn => btn
+                    .setIcon('file-text')
+                    .setTooltip('Open note')
+                    .onClick(() => this.app.workspace.openLinkText(path, '', false)));
         }
-        this.graphIntervals.clear();
+
+        // Performance section
+        containerEl.createEl('h3', { text: 'Performance' });
+
+        const stats = this.plugin.reachCache.getStats();
+        new Setting(containerEl)
+            .setName('Connection Cache')
+            .setDesc(`${stats.size} cached nodes, ${stats.hits} hits, ${stats.misses} misses, ${stats.invalidations} invalidations.`)
+            .addButton(btn => btn
+                .setButtonText('Clear Cache')
+                .onClick(() => {
+                    this.plugin.reachCache.clear();
+                    this.display();
+                    refreshAllGraphViews(this.plugin);
+                }));
     }
+}
 
-    // Helper to check if a file should be excluded
-    isExcluded(file) {
-        if (!file) return false;
-        const { excludeFolders = [], excludeTitles = [], excludeTags = [] } = this.settings || {};
-        // Folder exclusion
-        if (excludeFolders.length > 0) {
-            for (const folder of excludeFolders) {
-                if (file.path.startsWith(folder.endsWith('/') ? folder : folder + '/')) {
-                    return true;
-                }
-            }
+// Forward and reverse adjacency over metadataCache.resolvedLinks. The reverse
+// index is built lazily and then patched per note as its links change.
+class LinkIndex {
+    constructor(metadataCache) {
+        this.metadataCache = metadataCache;
+        // Source path -> target paths, as of the last update
+        this.outgoing = null;
+        // Target path -> Set of source paths
+        this.incoming = null;
+    }
+
+    build() {
+        this.outgoing = new Map();
+        this.incoming = new Map();
+        const resolvedLinks = this.metadataCache.resolvedLinks;
+        for (const source in resolvedLinks) {
+            this.link(source, Object.keys(resolvedLinks[source]));
         }
-        // Title exclusion (filename without extension)
-        if (excludeTitles.length > 0) {
-            const basename = file.basename;
-            for (const title of excludeTitles) {
-                if (title.startsWith('/') && title.endsWith('/')) {
-                    // Regex
-                    const regex = new RegExp(title.slice(1, -1));
-                    if (regex.test(basename)) return true;
-                } else {
-                    if (basename === title) return true;
-                }
+    }
+
+    link(source, targets) {
+        this.outgoing.set(source, targets);
+        for (const target of targets) {
+            let sources = this.incoming.get(target);
+            if (!sources) {
+                sources = new Set();
+                this.incoming.set(target, sources);
             }
+            sources.add(source);
         }
-        // Tag exclusion (frontmatter tags only)
-        if (excludeTags.length > 0) {
-            const cache = this.app.metadataCache.getFileCache(file);
-            let tags = [];
-            if (cache?.frontmatter?.tags) {
-                if (Array.isArray(cache.frontmatter.tags)) {
-                    tags = cache.frontmatter.tags;
-                } else if (typeof cache.frontmatter.tags === 'string') {
-                    tags = cache.frontmatter.tags.split(/[, ]+/).map(t => t.replace(/^#/, ''));
-                }
-            }
-            if (cache?.frontmatter) {
-                for (const key of Object.keys(cache.frontmatter)) {
-                    if (key === 'tags' || key === 'tag') continue;
-                    if (typeof cache.frontmatter[key] === 'string' && cache.frontmatter[key].startsWith('#')) {
-                        tags.push(cache.frontmatter[key].replace(/^#/, ''));
-                    }
-                }
-            }
-            for (const tag of excludeTags) {
-                if (tags.includes(tag)) return true;
+    }
+
+    unlink(source) {
+        for (const target of this.outgoing.get(source) || []) {
+            const sources = this.incoming.get(target);
+            if (sources) {
+                sources.delete(source);
+                if (sources.size === 0) this.incoming.delete(target);
             }
         }
-        return false;
+        this.outgoing.delete(source);
     }
 
-    // Calculate total connected nodes including children recursively
-    calculateTotalConnectedNodes(nodeId, visited = new Set(), currentDepth = 0) {
-        if (visited.has(nodeId)) {
-            return 0;
+    // Re-read one note's links; returns every path whose neighbors changed
+    update(path) {
+        const links = this.metadataCache.resolvedLinks[path];
+        const targets = links ? Object.keys(links) : [];
+        const affected = new Set([path, ...targets]);
+        if (!this.outgoing) return affected;
+        for (const target of this.outgoing.get(path) || []) {
+            affected.add(target);
         }
-        visited.add(nodeId);
+        this.unlink(path);
+        if (links) this.link(path, targets);
+        return affected;
+    }
 
-        const file = this.app.vault.getFileByPath(nodeId);
-        if (!file || this.isExcluded(file)) {
-            return 0;
-        }
+    getNeighbors(path, direction) {
+        const outgoing = Object.keys(this.metadataCache.resolvedLinks[path] || {});
+        if (direction === 'outgoing') return outgoing;
+        if (!this.incoming) this.build();
+        const incoming = Array.from(this.incoming.get(path) || []);
+        if (direction === 'incoming') return incoming;
+        return Array.from(new Set([...outgoing, ...incoming]));
+    }
+}
 
-        // Check if we've reached the maximum depth
-        const maxDepth = this.settings?.maxDepth || 3;
-        if (currentDepth >= maxDepth) {
-            return 1; // Count only the current node, don't go deeper
-        }
+// Sortable, filterable table of every note's computed size
+class HubReportView extends ItemView {
+    constructor(leaf, plugin) {
+        super(leaf);
+        this.plugin = plugin;
+        this.rows = [];
+        this.filter = '';
+        this.sortKey = 'size';
+        this.sortDescending = true;
+    }
 
-        // Get all links from this file
-        const links = this.app.metadataCache.resolvedLinks[file.path] || {};
-        let totalConnected = 1; // Start with 1 for the current node
+    getViewType() {
+        return REPORT_VIEW_TYPE;
+    }
 
-        // Recursively count all connected nodes
-        for (const linkedPath in links) {
-            totalConnected += this.calculateTotalConnectedNodes(linkedPath, visited, currentDepth + 1);
-        }
+    getDisplayText() {
+        return 'Node size report';
+    }
 
-        return totalConnected;
+    getIcon() {
+        return 'network';
     }
 
-    updateNodeSizes(view) {
-        const { renderer } = view;
-        if (!renderer) return;
+    async onOpen() {
+        const { contentEl } = this;
+        contentEl.empty();
+        const controls = contentEl.createDiv();
+        new Setting(controls)
+            .setName('Filter')
+            .addText(text => text
+                .setPlaceholder('Path, source or exclusion')
+                .setValue(this.filter)
+                .onChange((value) => {
+                    this.filter = value;
+                    this.renderTable();
+                }))
+            .addButton(btn => btn
+                .setButtonText('Refresh')
+                .onClick(() => this.refresh()))
+            .addButton(btn => btn
+                .setButtonText('Export CSV')
+                .onClick(() => this.exportReport('csv')))
+            .addButton(btn => btn
+                .setButtonText('Export JSON')
+                .onClick(() => this.exportReport('json')));
+        this.summaryEl = contentEl.createEl('div', { cls: 'setting-item-description' });
+        this.tableEl = contentEl.createEl('table');
+        this.tableEl.style.width = '100%';
+        this.registerEvent(this.app.workspace.on('active-leaf-change', () => {
+            if (this.stale && this.containerEl.isShown()) this.refresh();
+        }));
+        this.refresh();
+    }
 
-        const multiplier = this.settings?.sizeMultiplier || 1.0;
-        const multiplierScale = this.settings?.multiplierScale || 1.0;
-        const maxSize = this.settings?.maxSize || 50;
+    async onClose() {
+        this.contentEl.empty();
+    }
 
-        renderer.nodes.forEach(node => {
-            const file = this.app.vault.getFileByPath(node.id);
-            if (!file || this.isExcluded(file)) return;
+    // Refresh now while the report is on screen, otherwise once it is shown
+    // again, so edits elsewhere do not recompute the whole vault
+    markStale() {
+        this.stale = true;
+        if (this.containerEl.isShown()) this.refresh();
+    }
 
-            // Check if there's a manual node_size in frontmatter first
-            const fileCache = this.app.metadataCache.getFileCache(file);
-            const manualSize = fileCache?.frontmatter?.node_size;
+    refresh() {
+        if (!this.tableEl) return;
+        this.stale = false;
+        this.rows = this.plugin.getReportRows();
+        this.renderTable();
+    }
 
-            if (manualSize) {
-                // Use manual size if specified
-                node.weight = manualSize;
-            } else {
-                // Calculate dynamic size based on connected nodes
-                const totalConnected = this.calculateTotalConnectedNodes(node.id);
-                const calculatedSize = Math.min(totalConnected * multiplier * multiplierScale, maxSize);
-                node.weight = Math.max(calculatedSize, 1); // Minimum size of 1
-            }
+    // Rows matching the filter, in the current sort order
+    getVisibleRows() {
+        const filter = this.filter.trim().toLowerCase();
+        const rows = filter
+            ? this.rows.filter(row => [row.path, row.source, row.exclusion].some(text => text.toLowerCase().includes(filter)))
+            : this.rows.slice();
+        const column = REPORT_COLUMNS.find(col => col.key === this.sortKey);
+        const direction = this.sortDescending ? -1 : 1;
+        rows.sort((a, b) => {
+            const x = a[this.sortKey];
+            const y = b[this.sortKey];
+            // Rows without a value sort last either way
+            if (x === null || x === '') return y === null || y === '' ? 0 : 1;
+            if (y === null || y === '') return -1;
+            return direction * (column?.numeric ? x - y : String(x).localeCompare(String(y)));
         });
+        return rows;
     }
 
-    async loadSettings() {
-        this.settings = Object.assign({}, {
-            sizeMultiplier: 2,
-            multiplierScale: 1,
-            maxSize: 50,
-            maxDepth: 3,
-            excludeFolders: [],
-            excludeTitles: [],
-            excludeTags: []
-        }, await this.loadData());
+    renderTable() {
+        const rows = this.getVisibleRows();
+        const metric = this.plugin.settings?.blendEnabled
+            ? 'blended score'
+            : (METRICS.get(this.plugin.settings?.sizeMetric) || METRICS.get('reach')).name;
+        this.summaryEl.setText(`${rows.length} of ${this.rows.length} notes. Metric: ${metric}. Click a column to sort, a row to open the note.`);
+
+        this.tableEl.empty();
+        const headerRow = this.tableEl.createEl('thead').createEl('tr');
+        for (const column of REPORT_COLUMNS) {
+            const arrow = column.key === this.sortKey ? (this.sortDescending ? ' ▼' : ' ▲') : '';
+            const th = headerRow.createEl('th', { text: column.name + arrow });
+            th.style.cursor = 'pointer';
+            th.style.textAlign = 'left';
+            th.addEventListener('click', () => {
+                // Same column flips the direction; numbers start largest first
+                if (this.sortKey === column.key) {
+                    this.sortDescending = !this.sortDescending;
+                } else {
+                    this.sortKey = column.key;
+                    this.sortDescending = !!column.numeric;
+                }
+                this.renderTable();
+            });
+        }
+
+        const body = this.tableEl.createEl('tbody');
+        for (const row of rows) {
+            const tr = body.createEl('tr');
+            tr.style.cursor = 'pointer';
+            for (const column of REPORT_COLUMNS) {
+                const value = row[column.key];
+                const text = column.numeric && value !== null ? String(Math.round(value * 100) / 100) : (value ?? '');
+                tr.createEl('td', { text });
+            }
+            tr.addEventListener('click', (event) => {
+                this.app.workspace.openLinkText(row.path, '', event.ctrlKey || event.metaKey);
+            });
+        }
     }
 
-    async saveSettings() {
-        await this.saveData(this.settings);
+    // Write the filtered, sorted rows to a file in the vault root
+    async exportReport(format) {
+        const rows = this.getVisibleRows();
+        const content = format === 'json'
+            ? JSON.stringify(rows, null, 2)
+            : [REPORT_COLUMNS.map(col => col.key).join(',')]
+                .concat(rows.map(row => REPORT_COLUMNS.map(col => toCsvField(row[col.key])).join(',')))
+                .join('\n');
+        const path = `Node size report.${format}`;
+        try {
+            const existing = this.app.vault.getFileByPath(path);
+            if (existing) {
+                await this.app.vault.modify(existing, content);
+            } else {
+                await this.app.vault.create(path, content);
+            }
+            new Notice(`Exported ${rows.length} notes to ${path}`);
+        } catch (error) {
+            new Notice(`Could not export report: ${error.message}`);
+        }
     }
 }
 
-class DynamicNodeSizeSettingTab extends PluginSettingTab {
-    constructor(app, plugin) {
-        super(app, plugin);
+// Deep copy of preset values, so presets never share exclusion arrays
+function clonePresetValues(values) {
+    return JSON.parse(JSON.stringify(values || {}));
+}
+
+// Fuzzy picker used by the "Switch sizing preset" command
+class PresetSuggestModal extends FuzzySuggestModal {
+    constructor(plugin) {
+        super(plugin.app);
         this.plugin = plugin;
+        this.setPlaceholder('Choose a sizing preset');
     }
 
-    display() {
-        const { containerEl } = this;
-        containerEl.empty();
+    getItems() {
+        return this.plugin.getPresets();
+    }
 
-        // Node Size Controls section
-        containerEl.createEl('h2', { text: 'Dynamic Node Size Settings' });
-        containerEl.createEl('h3', { text: 'Node Size Controls' });
+    getItemText(preset) {
+        return preset.name;
+    }
 
-        new Setting(containerEl)
-            .setName('Size Multiplier')
-            .setDesc('Multiplier for calculating node size based on connected nodes. Higher values make nodes larger. (default: 2)')
-            .addText(text => text
-                .setPlaceholder('2')
-                .setValue(this.plugin.settings?.sizeMultiplier?.toString() || '2')
-                .onChange(async (value) => {
-                    const numValue = parseInt(value);
-                    if (!isNaN(numValue) && numValue >= 1 && numValue <= 10) {
-                        this.plugin.settings.sizeMultiplier = numValue;
-                        await this.plugin.saveSettings();
-                        refreshAllGraphViews(this.plugin);
-                    }
-                }));
+    onChooseItem(preset) {
+        this.plugin.applyPreset(preset.name);
+    }
+}
 
-        new Setting(containerEl)
-            .setName('Multiplier Scale')
-            .setDesc('Additional scale factor applied to the calculated node size for fine-tuning. (default: 1)')
-            .addText(text => text
-                .setPlaceholder('1')
-                .setValue(this.plugin.settings?.multiplierScale?.toString() || '1')
-                .onChange(async (value) => {
-                    const numValue = parseInt(value);
-                    if (!isNaN(numValue) && numValue >= 1 && numValue <= 5) {
-                        this.plugin.settings.multiplierScale = numValue;
-                        await this.plugin.saveSettings();
-                        refreshAllGraphViews(this.plugin);
-                    }
-                }));
+// Prompt for the size override of a note; an empty value removes it
+class NodeSizeModal extends Modal {
+    constructor(app, file, key) {
+        super(app);
+        this.file = file;
+        this.key = key;
+    }
 
-        new Setting(containerEl)
-            .setName('Maximum Node Size')
-            .setDesc('Maximum size a node can reach to prevent extremely large nodes. (default: 50)')
-            .addText(text => text
-                .setPlaceholder('50')
-                .setValue(this.plugin.settings?.maxSize?.toString() || '50')
-                .onChange(async (value) => {
-                    const numValue = parseInt(value);
-                    if (!isNaN(numValue) && numValue >= 10 && numValue <= 200) {
-                        this.plugin.settings.maxSize = numValue;
-                        await this.plugin.saveSettings();
-                        refreshAllGraphViews(this.plugin);
+    onOpen() {
+        const { contentEl } = this;
+        contentEl.empty();
+        contentEl.createEl('h3', { text: `Node size for "${this.file.basename}"` });
+        const current = this.app.metadataCache.getFileCache(this.file)?.frontmatter?.[this.key];
+        let value = current !== undefined ? String(current) : '';
+        // Stay open after an invalid value so it can be corrected
+        const submit = async () => {
+            if (await this.setNodeSize(value.trim())) this.close();
+        };
+        new Setting(contentEl)
+            .setName('Node size')
+            .setDesc('A size, or "auto" to ignore fixed-size rules. Leave empty to remove the override and use the dynamic size.')
+            .addText(text => {
+                text.setPlaceholder('10')
+                    .setValue(value)
+                    .onChange((newValue) => { value = newValue; });
+                text.inputEl.addEventListener('keydown', (event) => {
+                    if (event.key === 'Enter') {
+                        event.preventDefault();
+                        submit();
                     }
-                }));
+                });
+            })
+            .addButton(btn => btn
+                .setButtonText('Save')
+                .setCta()
+                .onClick(submit));
+    }
 
-        new Setting(containerEl)
-            .setName('Maximum Depth')
-            .setDesc('Maximum depth to traverse when calculating connected nodes. Lower values improve performance and focus on direct connections. (default: 3)')
-            .addText(text => text
-                .setPlaceholder('3')
-                .setValue(this.plugin.settings?.maxDepth?.toString() || '3')
-                .onChange(async (value) => {
-                    const numValue = parseInt(value);
-                    if (!isNaN(numValue) && numValue >= 1 && numValue <= 20) {
-                        this.plugin.settings.maxDepth = numValue;
-                        await this.plugin.saveSettings();
-                        refreshAllGraphViews(this.plugin);
-                    }
-                }));
+    async setNodeSize(value) {
+        const auto = value.toLowerCase() === 'auto';
+        const size = Number(value);
+        if (value !== '' && !auto && (!isFinite(size) || size <= 0)) {
+            new Notice('Node size must be a positive number or "auto"');
+            return false;
+        }
+        await this.app.fileManager.processFrontMatter(this.file, (frontmatter) => {
+            if (value === '') {
+                delete frontmatter[this.key];
+            } else {
+                frontmatter[this.key] = auto ? 'auto' : size;
+            }
+        });
+        return true;
+    }
 
-        // Restore to Default button (number inputs)
-        const restoreBtn = containerEl.createEl('button', { text: 'Restore to Default' });
-        restoreBtn.style.marginTop = '1em';
-        restoreBtn.onclick = async () => {
-            this.plugin.settings.sizeMultiplier = 2;
-            this.plugin.settings.multiplierScale = 1;
-            this.plugin.settings.maxSize = 50;
-            this.plugin.settings.maxDepth = 3;
-            await this.plugin.saveSettings();
-            this.display(); // Refresh UI
-            refreshAllGraphViews(this.plugin);
-        };
+    onClose() {
+        this.contentEl.empty();
+    }
+}
 
-        // Exclusions section
-        containerEl.createEl('h3', { text: 'Exclusions' });
+// Memoized reach counts. Each entry remembers the paths its walk visited, so
+// a change to one note only invalidates the roots whose walk went through it.
+// Graph-wide metric values are also kept here, dropped when links change.
+class ReachCache {
+    constructor() {
+        this.signature = null;
+        // Root path -> connected count
+        this.counts = new Map();
+        // Visited path -> Set of root paths whose count depends on it
+        this.dependents = new Map();
+        // Path -> whether it exists and is not excluded
+        this.traversable = new Map();
+        // Metric id -> Map of path -> value, for graph-wide metrics
+        this.graphMetrics = new Map();
+        // Adjacency built by getLinkGraph()
+        this.linkGraph = null;
+        // Node kind -> Map of usage counts, see getOtherNodeCounts()
+        this.otherNodeCounts = new Map();
+        // Cache of the bridged scope, see getBridgedScope()
+        this.bridged = null;
+        this.stats = { hits: 0, misses: 0, invalidations: 0 };
+    }
 
-        // Exclude Folders (better layout)
-        new Setting(containerEl)
-            .setName('Exclude Folders')
-            .setDesc('Add folders to exclude from dynamic sizing.')
-            .addButton(btn => {
-                btn.setButtonText('+ Add Folder');
-                btn.onClick(() => {
-                    if (!this.plugin.settings.excludeFolders) {
-                        this.plugin.settings.excludeFolders = [];
-                    }
-                    this.plugin.settings.excludeFolders.push('');
-                    this.plugin.saveSettings().then(() => this.display());
-                    refreshAllGraphViews(this.plugin);
-                });
-            });
-        // List folders
-        if ((this.plugin.settings.excludeFolders || []).length > 0) {
-            this.plugin.settings.excludeFolders.forEach((folder, idx) => {
-                const s = new Setting(containerEl)
-                    .addSearch((cb) => {
-                        new FolderSuggest(this.app, cb.inputEl);
-                        cb.setPlaceholder('Folder')
-                          .setValue(folder)
-                          .onChange(async (newFolder) => {
-                              this.plugin.settings.excludeFolders[idx] = newFolder.trim();
-                              await this.plugin.saveSettings();
-                              refreshAllGraphViews(this.plugin);
-                          });
-                    })
-                    .addExtraButton((cb) => {
-                        cb.setIcon('up-chevron-glyph')
-                          .setTooltip('Move up')
-                          .onClick(async () => {
-                              if (idx > 0) {
-                                  const temp = this.plugin.settings.excludeFolders[idx];
-                                  this.plugin.settings.excludeFolders[idx] = this.plugin.settings.excludeFolders[idx - 1];
-                                  this.plugin.settings.excludeFolders[idx - 1] = temp;
-                                  await this.plugin.saveSettings();
-                                  this.display();
-                                  refreshAllGraphViews(this.plugin);
-                              }
-                          });
-                    })
-                    .addExtraButton((cb) => {
-                        cb.setIcon('down-chevron-glyph')
-                          .setTooltip('Move down')
-                          .onClick(async () => {
-                              if (idx < this.plugin.settings.excludeFolders.length - 1) {
-                                  const temp = this.plugin.settings.excludeFolders[idx];
-                                  this.plugin.settings.excludeFolders[idx] = this.plugin.settings.excludeFolders[idx + 1];
-                                  this.plugin.settings.excludeFolders[idx + 1] = temp;
-                                  await this.plugin.saveSettings();
-                                  this.display();
-                                  refreshAllGraphViews(this.plugin);
-                              }
-                          });
-                    })
-                    .addExtraButton((cb) => {
-                        cb.setIcon('cross')
-                          .setTooltip('Delete')
-                          .onClick(async () => {
-                              this.plugin.settings.excludeFolders.splice(idx, 1);
-                              await this.plugin.saveSettings();
-                              this.display();
-                              refreshAllGraphViews(this.plugin);
-                          });
-                    });
-                s.infoEl.remove();
-            });
+    // Drop all entries when the counting settings change
+    sync(signature) {
+        if (signature !== this.signature) {
+            this.clear();
+            this.signature = signature;
         }
+    }
 
-        // Exclude Page Titles (text area)
-        new Setting(containerEl)
-            .setName('Exclude Page Titles')
-            .setDesc('One page title or regex per line. Matching nodes will be excluded.')
-            .addTextArea(text => text
-                .setValue((this.plugin.settings?.excludeTitles || []).join('\n'))
-                .onChange(async (value) => {
-                    this.plugin.settings.excludeTitles = value.split('\n').map(s => s.trim()).filter(Boolean);
-                    await this.plugin.saveSettings();
-                    refreshAllGraphViews(this.plugin);
-                })
-                .inputEl.setAttr('rows', 2)
-            );
+    get(path) {
+        if (this.counts.has(path)) {
+            this.stats.hits++;
+            return this.counts.get(path);
+        }
+        this.stats.misses++;
+        return undefined;
+    }
 
-        // Exclude Tags (better layout)
-        new Setting(containerEl)
-            .setName('Exclude Tags')
-            .setDesc('Add tags to exclude from dynamic sizing.')
-            .addButton(btn => {
-                btn.setButtonText('+ Add Tag');
-                btn.onClick(() => {
-                    if (!this.plugin.settings.excludeTags) {
-                        this.plugin.settings.excludeTags = [];
-                    }
-                    this.plugin.settings.excludeTags.push('');
-                    this.plugin.saveSettings().then(() => this.display());
-                    refreshAllGraphViews(this.plugin);
-                });
-            });
-        // List tags
-        if ((this.plugin.settings.excludeTags || []).length > 0) {
-            this.plugin.settings.excludeTags.forEach((tag, idx) => {
-                const s = new Setting(containerEl)
-                    .addSearch((cb) => {
-                        new TagSuggest(this.app, cb.inputEl);
-                        cb.setPlaceholder('Tag')
-                          .setValue(tag)
-                          .onChange(async (newTag) => {
-                              this.plugin.settings.excludeTags[idx] = newTag.trim();
-                              await this.plugin.saveSettings();
-                              refreshAllGraphViews(this.plugin);
-                          });
-                    })
-                    .addExtraButton((cb) => {
-                        cb.setIcon('up-chevron-glyph')
-                          .setTooltip('Move up')
-                          .onClick(async () => {
-                              if (idx > 0) {
-                                  const temp = this.plugin.settings.excludeTags[idx];
-                                  this.plugin.settings.excludeTags[idx] = this.plugin.settings.excludeTags[idx - 1];
-                                  this.plugin.settings.excludeTags[idx - 1] = temp;
-                                  await this.plugin.saveSettings();
-                                  this.display();
-                                  refreshAllGraphViews(this.plugin);
-                              }
-                          });
-                    })
-                    .addExtraButton((cb) => {
-                        cb.setIcon('down-chevron-glyph')
-                          .setTooltip('Move down')
-                          .onClick(async () => {
-                              if (idx < this.plugin.settings.excludeTags.length - 1) {
-                                  const temp = this.plugin.settings.excludeTags[idx];
-                                  this.plugin.settings.excludeTags[idx] = this.plugin.settings.excludeTags[idx + 1];
-                                  this.plugin.settings.excludeTags[idx + 1] = temp;
-                                  await this.plugin.saveSettings();
-                                  this.display();
-                                  refreshAllGraphViews(this.plugin);
-                              }
-                          });
-                    })
-                    .addExtraButton((cb) => {
-                        cb.setIcon('cross')
-                          .setTooltip('Delete')
-                          .onClick(async () => {
-                              this.plugin.settings.excludeTags.splice(idx, 1);
-                              await this.plugin.saveSettings();
-                              this.display();
-                              refreshAllGraphViews(this.plugin);
-                          });
-                    });
-                s.infoEl.remove();
-            });
+    set(path, count, visited) {
+        this.counts.set(path, count);
+        for (const visitedPath of visited) {
+            let roots = this.dependents.get(visitedPath);
+            if (!roots) {
+                roots = new Set();
+                this.dependents.set(visitedPath, roots);
+            }
+            roots.add(path);
         }
     }
+
+    // Forget a changed note and every count whose walk passed through it.
+    // Graph-wide values go too when the link structure may have changed.
+    invalidate(path, structural = true) {
+        this.traversable.delete(path);
+        if (structural) {
+            this.graphMetrics.clear();
+            this.otherNodeCounts.clear();
+            this.linkGraph = null;
+        }
+        this.bridged?.invalidate(path, structural);
+        const roots = this.dependents.get(path);
+        if (roots) {
+            for (const root of roots) {
+                if (this.counts.delete(root)) this.stats.invalidations++;
+            }
+            this.dependents.delete(path);
+        }
+        if (this.counts.delete(path)) this.stats.invalidations++;
+    }
+
+    clear() {
+        this.counts.clear();
+        this.dependents.clear();
+        this.traversable.clear();
+        this.graphMetrics.clear();
+        this.otherNodeCounts.clear();
+        this.linkGraph = null;
+        this.bridged = null;
+    }
+
+    getStats() {
+        return { ...this.stats, size: this.counts.size };
+    }
+}
+
+// Render the scaling curve and sample sizes for the current settings
+function renderScalingPreview(el, settings) {
+    el.empty();
+    const scale = createSizeScale(SCALING_PREVIEW_SAMPLES, settings);
+    const maxValue = SCALING_PREVIEW_SAMPLES[SCALING_PREVIEW_SAMPLES.length - 1];
+    const maxSize = Math.max(settings?.maxSize || 50, settings?.minSize || 1);
+    const width = 240;
+    const height = 60;
+    const points = [];
+    for (let value = 1; value <= maxValue; value++) {
+        const x = (value - 1) / (maxValue - 1) * width;
+        const y = height - scale(value) / maxSize * height;
+        points.push(`${x.toFixed(1)},${y.toFixed(1)}`);
+    }
+    const svg = el.createSvg('svg', { attr: { width, height, viewBox: `0 0 ${width} ${height}` } });
+    svg.createSvg('polyline', {
+        attr: { points: points.join(' '), fill: 'none', stroke: 'var(--interactive-accent)', 'stroke-width': 2 }
+    });
+    const samples = SCALING_PREVIEW_SAMPLES.map(value => `${value} → ${Math.round(scale(value) * 10) / 10}`);
+    el.createEl('div', { text: `Sample sizes: ${samples.join(', ')}`, cls: 'setting-item-description' });
+}
+
+// Leaves of every graph view type (global and local)
+function getGraphLeaves(app) {
+    return GRAPH_VIEW_TYPES.flatMap(type => app.workspace.getLeavesOfType(type));
+}
+
+// Depth ("jumps") configured in a local graph view, if it can be read
+function getLocalGraphDepth(view) {
+    const options = view.getState?.()?.options || view.dataEngine?.options || view.engine?.options;
+    const depth = parseInt(options?.localJumps);
+    return isNaN(depth) || depth < 1 ? null : depth;
 }
 
-// Helper to refresh all graph views
+// Helper to refresh all graph views (and open reports)
 function refreshAllGraphViews(plugin) {
-    const graphLeaves = plugin.app.workspace.getLeavesOfType("graph");
+    if (plugin.unloaded) return;
+    plugin.vaultSizes = null;
+    plugin.vaultNormalization = null;
+    const graphLeaves = getGraphLeaves(plugin.app);
     for (const leaf of graphLeaves) {
         const view = leaf.view;
         if (view && view.renderer) {
             plugin.updateNodeSizes(view);
         }
     }
+    for (const leaf of plugin.app.workspace.getLeavesOfType(REPORT_VIEW_TYPE)) {
+        if (leaf.view instanceof HubReportView) leaf.view.markStale();
+    }
+    plugin.updateStatusBar();
+    plugin.app.workspace.trigger(SIZES_CHANGED_EVENT, plugin);
+}
+
+// Round for display, dropping trailing zeros
+function formatNumber(value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+// Lines describing how a node got its size (see explain())
+function formatExplanation(explanation, settings) {
+    const { path, kind, source, reason, value, scaling, size } = explanation;
+    const lines = [path];
+    if (explanation.paused) {
+        lines.push('Sizing paused');
+    } else if (source === 'excluded') {
+        lines.push(`Excluded by ${reason}`);
+    } else if (source === 'not-included') {
+        lines.push('Not in the include-list');
+    } else if (source === 'native' && kind !== 'note') {
+        lines.push(`${NODE_KINDS[kind].name} are not sized`);
+    }
+    if (explanation.focusDistance !== null && explanation.focusDistance !== undefined) {
+        lines.push(`${explanation.focusDistance} hop${explanation.focusDistance === 1 ? '' : 's'} from the focused note`);
+    }
+    if (explanation.reach !== undefined) {
+        lines.push(`Reach: ${formatNumber(explanation.reach)} (depth ${explanation.depthReached} of ${explanation.maxDepth})`);
+    }
+    if (kind !== 'note' && value !== null) {
+        lines.push(`Usage: ${formatNumber(value)} (${NODE_KINDS[kind].metric})`);
+    } else if (value !== null) {
+        const metric = settings?.blendEnabled
+            ? 'Blended score'
+            : (METRICS.get(settings?.sizeMetric) || METRICS.get('reach')).name;
+        if (settings?.blendEnabled || (settings?.sizeMetric || 'reach') !== 'reach') {
+            lines.push(`${metric}: ${formatNumber(value)}`);
+        }
+    }
+    const key = settings?.overrideKey || 'node_size';
+    if (source === 'node_size') lines.push(`${key} override: ${formatNumber(size)}`);
+    if (source === 'rule') lines.push(`Fixed-size rule: ${size}`);
+    if (scaling) {
+        lines.push(scaling.mode === 'classic'
+            ? `Multiplier ${formatNumber(scaling.multiplier)} × scale ${formatNumber(scaling.multiplierScale)} = ${formatNumber(scaling.raw)}`
+            : `${scaling.mode} scaling: ${Math.round(scaling.position * 100)}% of the size range`);
+        if (scaling.clamped === 'max') lines.push(`Clamped to maximum size ${formatNumber(scaling.top)}`);
+        if (scaling.clamped === 'min') lines.push(`Raised to minimum size ${formatNumber(scaling.minSize)}`);
+    }
+    const override = explanation.override;
+    if (override && source !== 'node_size') {
+        if (override.auto) lines.push(`${key}: auto (fixed-size rules ignored)`);
+        if (override.multiplier !== null) lines.push(`${key}_multiplier: ×${formatNumber(override.multiplier)}`);
+        if (override.min !== null) lines.push(`${key}_min: ${formatNumber(override.min)}`);
+        if (override.max !== null) lines.push(`${key}_max: ${formatNumber(override.max)}`);
+    }
+    for (const { id, from, to } of explanation.modifiers || []) {
+        lines.push(`Modifier ${id}: ${formatNumber(from)} → ${formatNumber(to)}`);
+    }
+    for (const problem of override?.problems || []) {
+        lines.push(`Ignored ${problem}`);
+    }
+    if (size === null) {
+        lines.push('Final size: native');
+    } else if (isUnscaled(explanation, settings)) {
+        lines.push('Final size: not scaled yet, open the graph view to compare this note with the others');
+    } else {
+        lines.push(`Final size: ${formatNumber(size)}`);
+    }
+    return lines;
+}
+
+// Whether an explanation had nothing to scale its size against, while the
+// scaling mode or blend needs the other notes' values
+function isUnscaled(explanation, settings) {
+    return explanation.unnormalized && (settings?.blendEnabled || (settings?.scalingMode || 'classic') !== 'classic');
+}
+
+// "Matches 1 note" / "Matches N notes" for pattern previews
+function describeMatchCount(count) {
+    return `Matches ${count} note${count === 1 ? '' : 's'}`;
+}
+
+// Quote a CSV field when it contains a separator, quote or line break
+function toCsvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
 }
 
 // Suggestion classes based on auto.js implementation
@@ -534,17 +3700,8 @@ class TagSuggest extends TextInputSuggest {
         const tags = new Set();
         for (const file of files) {
             const cache = this.app.metadataCache.getFileCache(file);
-            if (cache?.tags) {
-                for (const tagObj of cache.tags) {
-                    tags.add(tagObj.tag.replace(/^#/, ''));
-                }
-            }
-            if (cache?.frontmatter?.tags) {
-                if (Array.isArray(cache.frontmatter.tags)) {
-                    for (const t of cache.frontmatter.tags) tags.add(t.replace(/^#/, ''));
-                } else if (typeof cache.frontmatter.tags === 'string') {
-                    for (const t of cache.frontmatter.tags.split(/[, ]+/)) tags.add(t.replace(/^#/, ''));
-                }
+            for (const tag of getCacheTags(cache)) {
+                tags.add(tag);
             }
         }
         const tagList = Array.from(tags);